@@ -4,8 +4,31 @@ const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 // Track power-saving state
 let powerSavingEnabled = false;
 
-// Track which tabs have been throttled
-const throttledTabs = new Set();
+// Track which tabs have been throttled: tabId -> { level, throttledAt, stage, workers, network, selfCheck }
+// (stage is the escalation ladder step, see escalation.js)
+const throttledTabs = new Map();
+
+// Tabs the page itself asked to keep awake at the last throttle attempt:
+// tabId -> { reasons, checkedAt } (calls, capture, uploads, typed text, leave-page warnings)
+const protectedTabs = new Map();
+
+// Outcome of the latest throttle attempt per tab, for the decision trace:
+// tabId -> { at, outcome, detail }
+const throttleAttempts = new Map();
+
+// Front tab of every window: windowId -> tabId (kept up to date by tab/window events)
+const activeTabs = new Map();
+
+// Safety-net sweep - events do the real work, this only catches anything they missed
+const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Timer wakeups the extension causes on its own (browser events are not counted)
+const wakeupStats = { since: Date.now(), total: 0, byKind: {} };
+
+function countWakeup(kind) {
+  wakeupStats.total++;
+  wakeupStats.byKind[kind] = (wakeupStats.byKind[kind] || 0) + 1;
+}
 
 // List of URL schemes we cannot access
 const RESTRICTED_SCHEMES = [
@@ -16,52 +39,898 @@ const RESTRICTED_SCHEMES = [
   'view-source:'
 ];
 
+// ---------- PAGE WORLD START ----------
+// throttle-script.js and restore-script.js must run in the page's own JavaScript world:
+// overrides made from the isolated content-script world never reach page scripts.
+// The two worlds only share the DOM, so the one piece of shared state is the
+// data-tab-power-saver attribute on <html>; everything else comes back to us as
+// structured-cloned executeScript results. We never hand functions to the page.
+
+// page-registry.js is also registered for document_start (see REGISTRY), but tabs loaded
+// before power saving came on or before install/update lack it
+const THROTTLE_FILES = ['page-registry.js', 'throttle-script.js'];
+
+// Run files or a self-contained function in the page world of a tab.
+// callback(results, errorMessage) - results are the plain values, one per frame
+function executeInPage(tabId, details, callback) {
+  browserApi.scripting.executeScript(Object.assign({ target: { tabId }, world: 'MAIN' }, details))
+    .then(results => callback((results || []).map(r => r.result), null))
+    .catch(e => callback(null, (e && e.message) || String(e)));
+}
+
+// --- functions below are serialised and run inside the page ---
+
+// Leave the config where the next throttle-script.js run picks it up (it deletes it straight away)
+function setThrottleConfig(config) {
+  window.__tabPowerSaverConfig = config;
+}
+
+// true if this page is already throttled
+function isThrottleApplied() {
+  return document.documentElement.getAttribute('data-tab-power-saver') === 'throttled' &&
+    window.__tabPowerSaverApplied === true;
+}
+
+// Are our overrides what page scripts actually see?
+function throttleSelfCheck() {
+  const isNative = fn => typeof fn === 'function' && /\[native code\]/.test(Function.prototype.toString.call(fn));
+  const features = window.__tabPowerSaverFeatures || {};
+  const result = {
+    marker: document.documentElement.getAttribute('data-tab-power-saver') === 'throttled',
+    applied: window.__tabPowerSaverApplied === true
+  };
+  if (features.timers) result.timers = !!window.__tabPowerSaverRegistry && window.__tabPowerSaverRegistry.ownsTimers();
+  if (features.timers) result.tasks = !isNative(window.MessageChannel) && !isNative(window.queueMicrotask);
+  if (features.animationFrames) result.animationFrames = !isNative(window.requestAnimationFrame);
+  if (features.canvas) result.canvas = !isNative(window.CanvasRenderingContext2D.prototype.fillRect);
+  result.ok = Object.keys(result).every(key => result[key]);
+  return result;
+}
+
+// Timer and wake-up counters of the page registry, or null without one
+function getWakeStats() {
+  const registry = window.__tabPowerSaverRegistry;
+  return registry ? registry.getStats() : null;
+}
+
+// Why the page must stay awake right now (calls, capture, uploads, ...), empty if nothing
+function getPageProtections() {
+  const registry = window.__tabPowerSaverRegistry;
+  return registry && registry.getProtections ? registry.getProtections() : [];
+}
+
+// Scroll position and edited form fields, saved before the tab is discarded
+function getPageState() {
+  const fields = [];
+  document.querySelectorAll('input, textarea, select').forEach((field, index) => {
+    if (['button', 'file', 'hidden', 'image', 'password', 'reset', 'submit'].includes(field.type)) return;
+    const checkable = field.type === 'checkbox' || field.type === 'radio';
+    const changed = checkable ? field.checked !== field.defaultChecked
+      : field.tagName === 'SELECT' ? Array.from(field.options).some(option => option.selected !== option.defaultSelected)
+      : field.value !== field.defaultValue;
+    if (changed) fields.push({ index, name: field.name, value: field.value, checked: field.checked });
+  });
+  return { scrollX: window.scrollX, scrollY: window.scrollY, fields };
+}
+
+// Put state from getPageState() back into the reloaded page (fields must still line up)
+function applyPageState(state) {
+  const all = document.querySelectorAll('input, textarea, select');
+  state.fields.forEach(saved => {
+    const field = all[saved.index];
+    if (!field || field.name !== saved.name) return;
+    if (field.type === 'checkbox' || field.type === 'radio') field.checked = saved.checked;
+    else field.value = saved.value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  window.scrollTo(state.scrollX, state.scrollY);
+}
+
+// Savings counters of the page registry since the last report, or null without one
+function takeSavingsReport() {
+  const registry = window.__tabPowerSaverRegistry;
+  return registry && registry.takeReport ? registry.takeReport() : null;
+}
+
+// --- end of page functions ---
+
+// Check a freshly throttled tab and remember the result for the popup
+function runSelfCheck(tabId, callback) {
+  executeInPage(tabId, { func: throttleSelfCheck }, (results, errorMsg) => {
+    const check = errorMsg ? { ok: false, error: errorMsg } : (results && results[0]) || { ok: false };
+    const entry = throttledTabs.get(tabId);
+    if (entry) entry.selfCheck = check;
+    if (!check.ok) {
+      console.warn(`⚠️ [${Date.now() % 100000}] Self-check: overrides not visible to page in tab ${tabId}`, check);
+    }
+    if (callback) callback(check);
+  });
+}
+// ---------- PAGE WORLD END ----------
+
 // ---------- WHITELIST START ----------
-let sites = [];                       // eTLD+1 list
+let siteRules = [];                   // [{ type, value, level }] - see rules.js
+let ruleMode = DEFAULT_RULE_MODE;     // 'exclude' or inverse 'include' ("throttle only these")
 
-/* return the registrable domain (eTLD+1) */
-function getDomain(url) {
-  try {
-    const host = new URL(url).hostname.replace(/^www\./, '');
-    // polyfill for browsers without chrome.domains
-    const parts = host.split('.');
-    if (parts.length > 2) return parts.slice(-2).join('.');
-    return host;
-  } catch (_) { return ''; }
+// throttle level for a URL - the matching rule, else what the rule mode says
+function getSiteLevel(url) {
+  return resolveLevel(siteRules, ruleMode, url);
 }
 
-// true if hostname is whitelisted
+// what throttle-script.js switches on for a URL - its level plus the rule's opt-ins
+function getSiteFeatures(url) {
+  return getLevelFeatures(getSiteLevel(url), findRule(siteRules, url));
+}
+
+// true if hostname is whitelisted (exempt from all throttling)
 function isWhitelisted(url) {
-  const d = getDomain(url);
-  return d && sites.includes(d);
+  return getSiteLevel(url) === 'exempt';
+}
+
+// wake tabs whose level (or worker / network opt-in) changed and throttle them again under
+// the new rule as soon as they are restored
+function refreshThrottleLevels() {
+  throttledTabs.forEach((entry, tabId) => {
+    browserApi.tabs.get(tabId, tab => {
+      if (browserApi.runtime.lastError || !tab) return;
+      const features = getSiteFeatures(tab.url);
+      if (getSiteLevel(tab.url) === entry.level && features.workers === !!entry.workers &&
+        features.network === (entry.network || DEFAULT_NETWORK_POLICY)) {
+        // a new heartbeat interval only needs a new timer
+        const slot = heartbeatTimers.get(tabId);
+        const minutes = getSiteHeartbeat(tab.url);
+        if (!entry.heartbeatWake && (slot ? slot.minutes : 0) !== minutes) scheduleHeartbeat(tabId, minutes);
+        return;
+      }
+      console.log(`🎚️ [${Date.now() % 100000}] Throttle level changed for tab ${tabId}, restoring`);
+      restoreTab(tabId, () => {
+        browserApi.tabs.get(tabId, current => {
+          if (browserApi.runtime.lastError || !current) return;
+          reconcileTab(current);
+        });
+      });
+    });
+  });
 }
 
 // load whitelist once at start-up
-browserApi.storage.local.get('whitelistedSites', data => {
-  sites = data.whitelistedSites || [];
+browserApi.storage.local.get(['whitelistedSites', 'ruleMode'], data => {
+  siteRules = normalizeRules(data.whitelistedSites);
+  ruleMode = data.ruleMode || DEFAULT_RULE_MODE;
+
+  // one-time fix for entries saved by the old last-two-labels matcher
+  const migrated = migratePublicSuffixRules(siteRules);
+  if (migrated) {
+    console.log(`🛠️ [${Date.now() % 100000}] Turning public-suffix whitelist entries into exact-host rules`);
+    siteRules = migrated;
+    browserApi.storage.local.set({ whitelistedSites: migrated });
+  }
+  updateRegistryScripts();
 });
 
 // keep in-sync when user edits the list
 browserApi.storage.onChanged.addListener(changes => {
-  if (changes.whitelistedSites) sites = changes.whitelistedSites.newValue || [];
+  if (!changes.whitelistedSites && !changes.ruleMode) return;
+  if (changes.whitelistedSites) siteRules = normalizeRules(changes.whitelistedSites.newValue);
+  if (changes.ruleMode) ruleMode = changes.ruleMode.newValue || DEFAULT_RULE_MODE;
+  updateRegistryScripts();
+  refreshThrottleLevels();
 });
 // ---------- WHITELIST END ----------
 
+// ---------- REGISTRY START ----------
+// While power saving is on, page-registry.js runs at document_start on the sites that may be
+// throttled, with only the sections their features need (see getRegistryScripts in rules.js).
+// Registrations are replaced as a whole on every change, one update at a time.
+const REGISTRY_SCRIPT_PREFIX = 'page-registry-';
+let registryUpdate = Promise.resolve();
+
+function updateRegistryScripts() {
+  if (!browserApi.scripting || !browserApi.scripting.registerContentScripts) return;
+  const scripting = browserApi.scripting;
+  registryUpdate = registryUpdate
+    .then(() => scripting.getRegisteredContentScripts())
+    .then(registered => {
+      const ids = registered.map(script => script.id).filter(id => id.startsWith(REGISTRY_SCRIPT_PREFIX));
+      if (ids.length) return scripting.unregisterContentScripts({ ids });
+    })
+    .then(() => {
+      const scripts = powerSavingEnabled ? getRegistryScripts(siteRules, ruleMode) : [];
+      // one at a time, so a rule the browser rejects only costs its own script
+      return Promise.all(scripts.map((script, index) => scripting.registerContentScripts([Object.assign({
+        id: REGISTRY_SCRIPT_PREFIX + index,
+        runAt: 'document_start',
+        world: 'MAIN',
+        persistAcrossSessions: false
+      }, script)]).catch(e => {
+        console.warn(`⚠️ [${Date.now() % 100000}] Page registry not registered for ${script.matches[0]}: ${e.message}`);
+      })));
+    })
+    .catch(e => console.warn(`⚠️ [${Date.now() % 100000}] Could not update the page registry scripts: ${e.message}`));
+}
+// ---------- REGISTRY END ----------
+
+// ---------- PROFILES START ----------
+let profiles = mergeProfiles();       // built-in profiles + user edits
+let activeProfile = DEFAULT_PROFILE;
+
+let scheduleProfile = null;           // profile picked by the active schedule rule, if any
+
+// Shared phase of the wake-up windows: every throttled tab batches its wake-ups on the
+// same boundaries (WAKE_PHASE + n * wakeWindow), so sleeping tabs wake up together
+const WAKE_PHASE = Date.now();
+
+// values injected into every throttled tab
+function getActiveProfileValues() {
+  return getProfileValues(profiles, scheduleProfile || activeProfile);
+}
+
+// load profiles once at start-up
+browserApi.storage.local.get(['throttleProfiles', 'activeProfile'], data => {
+  profiles = mergeProfiles(data.throttleProfiles);
+  activeProfile = data.activeProfile || DEFAULT_PROFILE;
+});
+
+// keep in-sync when user edits the profiles, and push new values into throttled tabs
+browserApi.storage.onChanged.addListener(changes => {
+  if (!changes.throttleProfiles && !changes.activeProfile) return;
+  if (changes.throttleProfiles) profiles = mergeProfiles(changes.throttleProfiles.newValue);
+  if (changes.activeProfile) activeProfile = changes.activeProfile.newValue || DEFAULT_PROFILE;
+  console.log(`🎚️ [${Date.now() % 100000}] Throttle profile changed: ${activeProfile}`);
+  throttledTabs.forEach((entry, tabId) => reconfigureTab(tabId));
+});
+// ---------- PROFILES END ----------
+
+// ---------- GRACE PERIOD START ----------
+let graceSeconds = DEFAULT_GRACE_SECONDS;  // idle time before a background tab is throttled
+const backgroundSince = new Map();    // tabId -> time the tab lost focus
+const graceTimers = new Map();        // tabId -> pending throttle timeout
+
+// when a background tab lost focus - our own record, else the browser's lastAccessed
+function getBackgroundSince(tab) {
+  if (!backgroundSince.has(tab.id)) backgroundSince.set(tab.id, tab.lastAccessed || Date.now());
+  return backgroundSince.get(tab.id);
+}
+
+// throttle a background tab once it has been idle for the grace period
+function scheduleThrottle(tab) {
+  if (graceTimers.has(tab.id)) return;
+  const remaining = getBackgroundSince(tab) + graceSeconds * 1000 - Date.now();
+  if (remaining <= 0) {
+    throttleTab(tab.id);
+    return;
+  }
+
+  console.log(`⏳ [${Date.now() % 100000}] Grace period for tab ${tab.id}: throttling in ${Math.ceil(remaining / 1000)}s`);
+  graceTimers.set(tab.id, setTimeout(() => {
+    countWakeup('grace');
+    graceTimers.delete(tab.id);
+    browserApi.tabs.get(tab.id, current => {
+      if (browserApi.runtime.lastError || !current) return;
+      if (powerSavingEnabled && isThrottleCandidate(current)) throttleTab(current.id);
+    });
+  }, remaining));
+}
+
+// the tab came back (or went away) before its grace period ran out
+function cancelGracePeriod(tabId) {
+  clearTimeout(graceTimers.get(tabId));
+  graceTimers.delete(tabId);
+  backgroundSince.delete(tabId);
+  protectedTabs.delete(tabId);
+}
+
+// drop every pending grace timer (power saving switched off)
+function clearGracePeriods() {
+  graceTimers.forEach(timer => clearTimeout(timer));
+  graceTimers.clear();
+}
+
+browserApi.storage.local.get('graceSeconds', data => {
+  if (Number.isFinite(data.graceSeconds)) graceSeconds = data.graceSeconds;
+});
+
+browserApi.storage.onChanged.addListener(changes => {
+  if (!changes.graceSeconds) return;
+  const value = changes.graceSeconds.newValue;
+  graceSeconds = Number.isFinite(value) ? value : DEFAULT_GRACE_SECONDS;
+});
+// ---------- GRACE PERIOD END ----------
+
+// ---------- KEEP AWAKE START ----------
+const keepAwakeTabs = new Map();      // tabId -> { until (null = until closed), domain, timer }
+
+// true if the user asked to keep this tab awake and the exemption has not run out
+function isKeptAwake(tab) {
+  const entry = keepAwakeTabs.get(tab.id);
+  return !!entry && (entry.until === null || entry.until > Date.now());
+}
+
+// exempt one tab for some minutes (null = until it is closed) and wake it if needed
+function keepTabAwake(tabId, minutes, callback) {
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab) {
+      callback({ error: 'Tab not found' });
+      return;
+    }
+
+    clearKeepAwake(tabId);
+    const until = minutes ? Date.now() + minutes * 60000 : null;
+    const entry = { until, domain: getDomain(tab.url), timer: null };
+    if (until) entry.timer = setTimeout(() => {
+      countWakeup('keepAwake');
+      expireKeepAwake(tabId);
+    }, until - Date.now());
+    keepAwakeTabs.set(tabId, entry);
+    console.log(`☕ [${Date.now() % 100000}] Keeping tab ${tabId} awake ${until ? `for ${minutes} min` : 'until closed'}`);
+
+    cancelGracePeriod(tabId);
+    if (throttledTabs.has(tabId)) restoreTab(tabId);
+    callback({ until });
+  });
+}
+
+// drop a tab's exemption without re-checking it
+function clearKeepAwake(tabId) {
+  const entry = keepAwakeTabs.get(tabId);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  keepAwakeTabs.delete(tabId);
+}
+
+// carry an exemption over to the tab that replaced this one
+function moveKeepAwake(fromTabId, toTabId) {
+  const entry = keepAwakeTabs.get(fromTabId);
+  if (!entry) return;
+  clearKeepAwake(fromTabId);
+  if (entry.until) entry.timer = setTimeout(() => {
+    countWakeup('keepAwake');
+    expireKeepAwake(toTabId);
+  }, entry.until - Date.now());
+  keepAwakeTabs.set(toTabId, entry);
+}
+
+// exemption ran out - the tab goes back to normal throttling
+function expireKeepAwake(tabId) {
+  clearKeepAwake(tabId);
+  console.log(`⌛ [${Date.now() % 100000}] Keep-awake expired for tab ${tabId}`);
+  if (!powerSavingEnabled) return;
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab) return;
+    if (isThrottleCandidate(tab) && !throttledTabs.has(tabId)) scheduleThrottle(tab);
+  });
+}
+
+// the exemption follows the tab within its site but ends when it navigates elsewhere
+function checkKeepAwakeNavigation(tabId, url) {
+  const entry = keepAwakeTabs.get(tabId);
+  if (!entry || getDomain(url) === entry.domain) return;
+  console.log(`⌛ [${Date.now() % 100000}] Tab ${tabId} left ${entry.domain}, ending keep-awake`);
+  clearKeepAwake(tabId);
+}
+// ---------- KEEP AWAKE END ----------
+
+// ---------- AUTOMATIC MODE START ----------
+let powerMode = 'manual';             // 'manual', 'battery' or 'schedule'
+let powerReason = 'Manual';           // why power saving is on/off - shown in the popup
+let batteryThreshold = DEFAULT_BATTERY_THRESHOLD;
+let batteryReading = null;            // last battery object seen by watchBattery()
+let batteryWatched = false;
+let manualOverride = null;            // popup toggle in an automatic mode: { enabled, basis } for
+                                      // battery, { enabled, until } for schedule
+
+// Switch power saving on/off through the one start/stop path
+function setPowerSaving(enabled, reason) {
+  powerReason = reason;
+  if (enabled === powerSavingEnabled) return;
+
+  powerSavingEnabled = enabled;
+  browserApi.storage.local.set({ powerSavingEnabled });
+  updateButtonIcon(powerSavingEnabled);
+  updateRegistryScripts();
+
+  if (powerSavingEnabled) {
+    console.log(`✅ [${Date.now() % 100000}] POWER SAVING MODE ON (${reason}) - Throttling background tabs`);
+    startTabMonitoring();
+    detectAllBackgroundTabs();
+  } else {
+    console.log(`⏸️ [${Date.now() % 100000}] POWER SAVING MODE OFF (${reason}) - Restoring all tabs`);
+    stopTabMonitoring();
+    restoreAllTabs();
+  }
+}
+
+// Restore every tab we throttled
+function restoreAllTabs() {
+  browserApi.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      if (isTabAccessible(tab) && throttledTabs.has(tab.id)) {
+        restoreTab(tab.id);
+      }
+    });
+  });
+}
+
+// Follow the battery while in automatic mode; a manual toggle holds until the battery
+// decision flips (plugged in / unplugged / crossed the threshold)
+function applyBatteryState() {
+  if (powerMode !== 'battery') return;
+  const decision = evaluateBattery(batteryReading, batteryThreshold);
+  if (!decision) {
+    powerReason = 'Automatic - battery status unavailable, keeping current setting';
+    return;
+  }
+
+  if (manualOverride && manualOverride.basis !== decision.enabled) {
+    console.log(`🔋 [${Date.now() % 100000}] Battery state changed, ending manual override`);
+    manualOverride = null;
+  }
+  if (manualOverride) {
+    setPowerSaving(manualOverride.enabled, `Manual override until the battery state changes (${decision.reason})`);
+    return;
+  }
+  setPowerSaving(decision.enabled, `Automatic - ${decision.reason}`);
+}
+
+// Saved power mode, or manual for automatic mode where the battery cannot be read (the
+// popup no longer offers it there; older versions let it be picked)
+function getUsablePowerMode(mode) {
+  if (mode === 'battery' && !isBatteryApiAvailable()) {
+    console.warn(`🔋 [${Date.now() % 100000}] Battery Status API unavailable - switching to manual mode`);
+    browserApi.storage.local.set({ powerMode: 'manual' });
+    return 'manual';
+  }
+  return mode || 'manual';
+}
+
+// Start listening to the Battery Status API (once)
+function startBatteryWatch() {
+  if (batteryWatched) {
+    applyBatteryState();
+    return;
+  }
+  batteryWatched = true;
+  const getBattery = navigator.getBattery ? navigator.getBattery.bind(navigator) : null;
+  watchBattery(getBattery, battery => {
+    batteryReading = battery;
+    applyBatteryState();
+  }).then(available => {
+    if (available) return;
+    console.warn(`🔋 [${Date.now() % 100000}] Battery Status API unavailable - automatic mode cannot follow the battery`);
+    applyBatteryState();
+  });
+}
+
+// Popup toggle - manual mode sets the state, automatic modes override it for a while
+function handleManualToggle(enabled) {
+  if (powerMode === 'schedule') {
+    const boundary = getNextScheduleBoundary(scheduleRules, new Date());
+    manualOverride = { enabled, until: boundary ? boundary.getTime() : null };
+    setPowerSaving(enabled, describeScheduleOverride());
+    return;
+  }
+
+  if (powerMode === 'battery') {
+    const decision = evaluateBattery(batteryReading, batteryThreshold);
+    if (decision && decision.enabled !== enabled) {
+      manualOverride = { enabled, basis: decision.enabled };
+      setPowerSaving(enabled, `Manual override until the battery state changes (${decision.reason})`);
+      return;
+    }
+    // toggled back to what the battery says - follow it again
+    manualOverride = null;
+    if (decision) {
+      setPowerSaving(enabled, `Automatic - ${decision.reason}`);
+      return;
+    }
+  }
+  setPowerSaving(enabled, 'Manual');
+}
+
+browserApi.storage.onChanged.addListener(changes => {
+  if (changes.batteryThreshold) {
+    const value = changes.batteryThreshold.newValue;
+    batteryThreshold = Number.isFinite(value) ? value : DEFAULT_BATTERY_THRESHOLD;
+    applyBatteryState();
+  }
+  if (changes.powerMode) {
+    powerMode = getUsablePowerMode(changes.powerMode.newValue);
+    manualOverride = null;
+    console.log(`🔋 [${Date.now() % 100000}] Power mode: ${powerMode}`);
+    applySchedule();
+    if (powerMode === 'battery') startBatteryWatch();
+    else if (powerMode === 'manual') powerReason = 'Manual';
+  }
+});
+// ---------- AUTOMATIC MODE END ----------
+
+// ---------- SCHEDULE START ----------
+let scheduleRules = [];               // see schedule.js
+let scheduleTimer = null;             // fires at the next rule boundary
+
+// Popup reason while a manual toggle overrides the schedule
+function describeScheduleOverride() {
+  if (!manualOverride.until) return 'Manual override (no upcoming schedule change)';
+  const time = new Date(manualOverride.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `Manual override until the schedule changes at ${time}`;
+}
+
+// The schedule picks the profile while one of its rules is on
+function setScheduleProfile(name) {
+  if (name === scheduleProfile) return;
+  scheduleProfile = name;
+  console.log(`🎚️ [${Date.now() % 100000}] Schedule profile: ${scheduleProfile || activeProfile}`);
+  throttledTabs.forEach((entry, tabId) => reconfigureTab(tabId));
+}
+
+// Evaluate the schedule and wake up again at its next boundary
+function applySchedule() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  if (powerMode !== 'schedule') {
+    setScheduleProfile(null);
+    return;
+  }
+
+  const now = new Date();
+  const decision = evaluateSchedule(scheduleRules, now);
+  const boundary = getNextScheduleBoundary(scheduleRules, now);
+  if (boundary) scheduleTimer = setTimeout(() => {
+    countWakeup('schedule');
+    applySchedule();
+  }, boundary - now + 1000);
+
+  // a manual toggle only lasts until the next boundary
+  if (manualOverride && manualOverride.until && manualOverride.until <= now.getTime()) {
+    console.log(`🗓️ [${Date.now() % 100000}] Schedule boundary reached, ending manual override`);
+    manualOverride = null;
+  }
+
+  setScheduleProfile(decision.profile);
+  if (manualOverride) {
+    setPowerSaving(manualOverride.enabled, describeScheduleOverride());
+    return;
+  }
+  setPowerSaving(decision.enabled, `Schedule - ${decision.reason}`);
+}
+
+browserApi.storage.local.get('powerSchedule', data => {
+  scheduleRules = data.powerSchedule || [];
+  applySchedule();
+});
+
+browserApi.storage.onChanged.addListener(changes => {
+  if (!changes.powerSchedule) return;
+  scheduleRules = changes.powerSchedule.newValue || [];
+  manualOverride = null;
+  applySchedule();
+});
+// ---------- SCHEDULE END ----------
+
+// ---------- ESCALATION START ----------
+let escalation = normalizeEscalation();   // see escalation.js
+const escalationTimers = new Map();       // tabId -> timeout of the tab's next step
+
+// Tabs we discarded: tabId -> { discardedAt }; their scroll / form state waits in
+// storage.session under pageStateKey(tabId) until the tab is loaded again
+const discardedTabs = new Map();
+
+function pageStateKey(tabId) {
+  return `pageState:${tabId}`;
+}
+
+// Profile step a freshly throttled tab starts on (null = the selected profile)
+function getStartStage() {
+  return escalation.enabled ? 'light' : null;
+}
+
+// Throttle values for a ladder step, or the selected profile without one
+function getStageProfileValues(stage) {
+  return stage ? getProfileValues(profiles, stage) : getActiveProfileValues();
+}
+
+// Wake up for the tab's next step after delay ms (null = no further step)
+function scheduleEscalation(tabId, delay) {
+  clearTimeout(escalationTimers.get(tabId));
+  escalationTimers.delete(tabId);
+  if (delay === null) return;
+  escalationTimers.set(tabId, setTimeout(() => {
+    countWakeup('escalation');
+    escalationTimers.delete(tabId);
+    escalateTab(tabId);
+  }, delay));
+}
+
+// Move a throttled tab to the step its sleep time calls for
+function escalateTab(tabId) {
+  const entry = throttledTabs.get(tabId);
+  if (!entry) return;
+  const asleep = Date.now() - entry.throttledAt;
+  const stage = getEscalationStage(escalation, asleep);
+  if (stage === 'discard') {
+    discardTab(tabId);
+    return;
+  }
+  if (stage !== (entry.stage || null)) {
+    console.log(`🪜 [${Date.now() % 100000}] Tab ${tabId} moves to ${stage || activeProfile}`);
+    entry.stage = stage;
+    reconfigureTab(tabId);
+  }
+  scheduleEscalation(tabId, getNextEscalationDelay(escalation, asleep));
+}
+
+// Free a long-sleeping tab's memory - unless it may not sleep now or the page is busy,
+// in which case it tries again one sweep interval later
+function discardTab(tabId) {
+  const retry = () => scheduleEscalation(tabId, RECONCILE_INTERVAL_MS);
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab) return;
+    // discarding ends audio for good - keep-audio sites only let a playing tab be throttled
+    let exemptReason = getExemptReason(tab);
+    if (!exemptReason && tab.audible) exemptReason = 'Playing audio';
+    if (!exemptReason && isKeptAwake(tab)) exemptReason = 'Kept awake';
+    if (!exemptReason && protectedTabs.has(tabId)) exemptReason = 'Kept awake by page';
+    if (exemptReason) {
+      console.log(`⏭️ [${Date.now() % 100000}] Not discarding tab ${tabId}: ${exemptReason}`);
+      retry();
+      return;
+    }
+    executeInPage(tabId, { func: getPageProtections }, (protectionResults) => {
+      const reasons = (protectionResults && protectionResults[0]) || [];
+      if (reasons.length) {
+        console.log(`🛡️ [${Date.now() % 100000}] Page is busy, not discarding: ${tabId} (${reasons.join(', ')})`);
+        retry();
+        return;
+      }
+      // the page's counters go away with it
+      collectSavings(tabId, tab.url, () => executeInPage(tabId, { func: getPageState }, (stateResults) => {
+        const state = stateResults && stateResults[0];
+        const saved = state
+          ? browserApi.storage.session.set({ [pageStateKey(tabId)]: Object.assign({ url: tab.url }, state) })
+          : Promise.resolve();
+        saved.catch(() => {}).then(() => browserApi.tabs.discard(tabId)).then(() => {
+          discardedTabs.set(tabId, { discardedAt: Date.now() });
+          unmarkThrottled(tabId);
+          console.log(`🧊 [${Date.now() % 100000}] DISCARDED tab: ${tabId} - ${tab.title}`);
+        }).catch(error => {
+          console.debug(`⚠️ [${Date.now() % 100000}] Could not discard tab ${tabId}:`, error.message);
+          retry();
+        });
+      }));
+    });
+  });
+}
+
+// A discarded tab finished loading again - put its scroll and form state back
+function restorePageState(tab) {
+  discardedTabs.delete(tab.id);
+  const key = pageStateKey(tab.id);
+  browserApi.storage.session.get(key).then(data => {
+    const state = data[key];
+    if (!state) return;
+    browserApi.storage.session.remove(key);
+    if (state.url !== tab.url) return;
+    executeInPage(tab.id, { func: applyPageState, args: [state] }, (results, errorMsg) => {
+      if (errorMsg) console.debug(`⚠️ [${Date.now() % 100000}] Could not restore page state of tab ${tab.id}:`, errorMsg);
+    });
+  }).catch(() => {});
+}
+
+// Forget a closed tab's discard record and saved state
+function forgetDiscardedTab(tabId) {
+  discardedTabs.delete(tabId);
+  browserApi.storage.session.remove(pageStateKey(tabId)).catch(() => {});
+}
+
+browserApi.storage.local.get('sleepEscalation', data => {
+  escalation = normalizeEscalation(data.sleepEscalation);
+});
+
+// new thresholds apply to tabs that are already asleep
+browserApi.storage.onChanged.addListener(changes => {
+  if (!changes.sleepEscalation) return;
+  escalation = normalizeEscalation(changes.sleepEscalation.newValue);
+  console.log(`🪜 [${Date.now() % 100000}] Sleep escalation ${escalation.enabled ? `on (deep ${escalation.deepMinutes} min, discard ${escalation.discardMinutes} min)` : 'off'}`);
+  throttledTabs.forEach((entry, tabId) => {
+    if (escalation.enabled && !entry.stage) entry.stage = getStartStage();
+    escalateTab(tabId);
+  });
+});
+// ---------- ESCALATION END ----------
+
+// ---------- HEARTBEAT START ----------
+// Sites with a heartbeat rule wake their sleeping tabs for a few seconds every few minutes
+// (restore, wait, throttle again) so chat and mail can sync. Wake-ups are spread so no two
+// overlap, and all of them together stay within an hourly budget.
+const HEARTBEAT_WAKE_MS = 10 * 1000;          // how long one wake-up lasts
+const HEARTBEAT_SPACING_MS = 15 * 1000;       // minimum gap between two tabs' wake-ups
+const HEARTBEAT_HOURLY_BUDGET_MS = 3 * 60 * 1000;
+
+const heartbeatTimers = new Map();    // tabId -> { timer, at, minutes } of the tab's next wake-up
+const heartbeatLog = [];              // { at, ms } of every wake-up in the last hour
+const heartbeatActivity = new Map();  // tabId -> { title, at } - title changed during a wake-up
+
+// heartbeat interval (minutes) of a URL, 0 if its tabs are never woken
+function getSiteHeartbeat(url) {
+  return getHeartbeatMinutes(getSiteLevel(url), findRule(siteRules, url));
+}
+
+// Earliest time at or after wanted that keeps clear of every other tab's wake-up
+function pickHeartbeatSlot(wanted) {
+  const taken = Array.from(heartbeatTimers.values()).map(slot => slot.at).sort((a, b) => a - b);
+  let at = wanted;
+  taken.forEach(other => {
+    if (Math.abs(other - at) < HEARTBEAT_SPACING_MS) at = other + HEARTBEAT_SPACING_MS;
+  });
+  return at;
+}
+
+// Plan the tab's next wake-up in minutes (0 = stop waking it)
+function scheduleHeartbeat(tabId, minutes) {
+  cancelHeartbeat(tabId);
+  if (!minutes) return;
+  const at = pickHeartbeatSlot(Date.now() + minutes * 60000);
+  heartbeatTimers.set(tabId, {
+    at,
+    minutes,
+    timer: setTimeout(() => {
+      countWakeup('heartbeat');
+      heartbeatTimers.delete(tabId);
+      heartbeatTab(tabId);
+    }, at - Date.now())
+  });
+}
+
+function cancelHeartbeat(tabId) {
+  const slot = heartbeatTimers.get(tabId);
+  if (slot) clearTimeout(slot.timer);
+  heartbeatTimers.delete(tabId);
+}
+
+// Wake time left this hour
+function getHeartbeatBudget() {
+  const hourAgo = Date.now() - 3600000;
+  while (heartbeatLog.length && heartbeatLog[0].at < hourAgo) heartbeatLog.shift();
+  return HEARTBEAT_HOURLY_BUDGET_MS - heartbeatLog.reduce((sum, wake) => sum + wake.ms, 0);
+}
+
+// Let a sleeping tab run for HEARTBEAT_WAKE_MS, then throttle it again
+function heartbeatTab(tabId) {
+  const entry = throttledTabs.get(tabId);
+  if (!entry || entry.heartbeatWake) return;
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab || tab.active || tab.discarded) return;
+    const minutes = getSiteHeartbeat(tab.url);
+    if (!minutes) return;
+
+    if (getHeartbeatBudget() < HEARTBEAT_WAKE_MS) {
+      console.log(`💓 [${Date.now() % 100000}] Hourly heartbeat budget used up, skipping tab ${tabId}`);
+      scheduleHeartbeat(tabId, minutes);
+      return;
+    }
+
+    const startedAt = Date.now();
+    entry.heartbeatWake = { startedAt, title: tab.title };
+    executeInPage(tabId, { files: ['restore-script.js'] }, (results, errorMsg) => {
+      if (errorMsg) {
+        console.debug(`⚠️ [${Date.now() % 100000}] Heartbeat could not wake tab ${tabId}:`, errorMsg);
+        delete entry.heartbeatWake;
+        scheduleHeartbeat(tabId, minutes);
+        return;
+      }
+      console.log(`💓 [${startedAt % 100000}] Heartbeat wake-up: ${tabId} - ${tab.title}`);
+      collectSavings(tabId, tab.url);
+      setTimeout(() => {
+        countWakeup('heartbeat');
+        endHeartbeat(tabId, entry);
+      }, HEARTBEAT_WAKE_MS);
+    });
+  });
+}
+
+// Throttle the tab again after its wake-up and note a changed title (an unread count)
+function endHeartbeat(tabId, entry) {
+  const wake = entry.heartbeatWake;
+  heartbeatLog.push({ at: wake.startedAt, ms: Date.now() - wake.startedAt });
+  // the user switched to the tab (or it went away) in the meantime
+  if (throttledTabs.get(tabId) !== entry) return;
+
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab) return;
+    if (tab.title !== wake.title) {
+      heartbeatActivity.set(tabId, { title: tab.title, at: Date.now() });
+      console.log(`🔔 [${Date.now() % 100000}] Title changed during heartbeat: ${tabId} - ${tab.title}`);
+    }
+    passThrottleConfig(tabId, entry.stage || null, getSiteFeatures(tab.url), (configResults, configError) => {
+      if (configError) console.debug(`⚠️ [${Date.now() % 100000}] Could not pass profile, using defaults: ${configError}`);
+      executeInPage(tabId, { files: THROTTLE_FILES }, (results, errorMsg) => {
+        delete entry.heartbeatWake;
+        if (errorMsg) {
+          console.debug(`⚠️ [${Date.now() % 100000}] Could not re-throttle tab ${tabId} after heartbeat:`, errorMsg);
+          unmarkThrottled(tabId);
+          return;
+        }
+        scheduleHeartbeat(tabId, getSiteHeartbeat(tab.url));
+      });
+    });
+  });
+}
+// ---------- HEARTBEAT END ----------
+
+// ---------- SAVINGS START ----------
+// Counters of throttled pages (see savings.js), collected when a tab wakes up, before it is
+// discarded and whenever the stats page asks
+let savingsHistory = {};              // day -> domain -> counters, mirrored in storage.local
+const tabSavings = new Map();         // tabId -> { domain, totals } since the browser started
+
+browserApi.storage.local.get('savingsHistory', data => {
+  savingsHistory = data.savingsHistory || {};
+});
+
+// Fetch a tab's counters since its last report and add them up
+function collectSavings(tabId, url, callback) {
+  executeInPage(tabId, { func: takeSavingsReport }, (results) => {
+    const report = results && results[0];
+    const domain = getDomain(url);
+    if (report && domain && hasSavings(report)) {
+      const entry = tabSavings.get(tabId) || { domain, totals: {} };
+      entry.domain = domain;
+      addSavings(entry.totals, report);
+      tabSavings.set(tabId, entry);
+      savingsHistory = recordSavingsHistory(savingsHistory, domain, report, new Date());
+      browserApi.storage.local.set({ savingsHistory });
+    }
+    if (callback) callback();
+  });
+}
+
+// Report every throttled tab, then answer with the history and the per-tab totals
+function collectAllSavings(callback) {
+  const pending = Array.from(throttledTabs.keys());
+  const respond = () => callback({
+    history: savingsHistory,
+    tabs: Array.from(tabSavings, ([tabId, entry]) => Object.assign({ tabId }, entry))
+  });
+  if (!pending.length) {
+    respond();
+    return;
+  }
+  let left = pending.length;
+  pending.forEach(tabId => {
+    browserApi.tabs.get(tabId, tab => {
+      const done = () => { if (--left === 0) respond(); };
+      if (browserApi.runtime.lastError || !tab) {
+        done();
+        return;
+      }
+      collectSavings(tabId, tab.url, done);
+    });
+  });
+}
+// ---------- SAVINGS END ----------
+
 // Initialize extension
 function initializeExtension() {
   console.log(`⚙️ [${Date.now() % 100000}] Initializing extension...`);
 
+  browserApi.browserAction.setBadgeBackgroundColor({ color: '#52c41a' });
+  updateBadge();
+
   // Load saved state
-  browserApi.storage.local.get('powerSavingEnabled', (data) => {
-    powerSavingEnabled = data.powerSavingEnabled || false;
-    updateButtonIcon(powerSavingEnabled);
+  browserApi.storage.local.get(['powerSavingEnabled', 'powerMode', 'batteryThreshold'], (data) => {
+    powerMode = getUsablePowerMode(data.powerMode);
+    if (Number.isFinite(data.batteryThreshold)) batteryThreshold = data.batteryThreshold;
 
-    if (powerSavingEnabled) {
+    if (data.powerSavingEnabled) {
       console.log(`✅ [${Date.now() % 100000}] Resuming Power Saving Mode`);
-      startTabMonitoring();
-      // Throttle any existing background tabs
-      detectAllBackgroundTabs();
     }
+    // Throttles any existing background tabs when enabled
+    setPowerSaving(data.powerSavingEnabled || false, 'Manual');
+    updateButtonIcon(powerSavingEnabled);
+
+    if (powerMode === 'battery') startBatteryWatch();
+    if (powerMode === 'schedule') applySchedule();
 
     // SET UP ALL LISTENERS AFTER STATE IS LOADED
     setupEventListeners();
@@ -74,47 +943,87 @@ function initializeExtension() {
 function setupEventListeners() {
   console.log(`👂 [${Date.now() % 100000}] Setting up event listeners...`);
 
+  // Start from the tabs that are in front right now
+  browserApi.tabs.query({ active: true }, (tabs) => {
+    tabs.forEach(tab => activeTabs.set(tab.windowId, tab.id));
+  });
+
   // Tab activation - restore when tab becomes active
   browserApi.tabs.onActivated.addListener(handleTabActivation);
 
-  // Tab update - handle new tabs or URL changes
+  // Tab update - handle new tabs, reloads, URL changes, pin/audio changes
   browserApi.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) checkKeepAwakeNavigation(tabId, changeInfo.url);
+    if (changeInfo.status === 'complete' && !tab.discarded && discardedTabs.has(tabId)) restorePageState(tab);
+
     if (!powerSavingEnabled) return;
 
-    // Handle tab becoming active (fallback for restoration)
-    if (tab.active && changeInfo.status === 'complete') {
-      if (throttledTabs.has(tabId)) {
-        console.log(`🔄 [${Date.now() % 100000}] Restoring activated tab: ${tabId} - ${tab.title}`);
-        restoreTab(tabId);
-      }
-      return;
+    // A new document replaces the throttled one - it starts out unthrottled
+    if (changeInfo.status === 'loading' && throttledTabs.has(tabId)) {
+      console.log(`🔁 [${Date.now() % 100000}] Throttled tab is loading a new page: ${tabId}`);
+      unmarkThrottled(tabId);
     }
+    if (changeInfo.status === 'loading') protectedTabs.delete(tabId);
 
-    // Skip if not a completed tab load
-    if (!changeInfo.status || changeInfo.status !== 'complete') return;
-
-    // Skip if active tab
-    if (tab.active) return;
+    // Title, favicon etc. never change the decision
+    if (!['status', 'url', 'pinned', 'audible', 'discarded'].some(key => key in changeInfo)) return;
 
-    // Skip if not accessible
-    if (!isTabAccessible(tab)) return;
+    if (!tab.active && changeInfo.status === 'complete' && isThrottleCandidate(tab) && !throttledTabs.has(tabId)) {
+      console.log(`⏳ [${Date.now() % 100000}] Detected new background tab: ${tabId} - ${tab.title}`);
+    }
+    reconcileTab(tab);
+  });
 
-    // Skip if already throttled
-    if (throttledTabs.has(tabId)) return;
+  // Tab moved to another window - it may now be in front there, or in the background
+  browserApi.tabs.onAttached.addListener((tabId, attachInfo) => {
+    browserApi.tabs.get(tabId, (tab) => {
+      if (browserApi.runtime.lastError || !tab) return;
+      if (tab.active) activeTabs.set(attachInfo.newWindowId, tabId);
+      reconcileTab(tab);
+    });
+  });
 
-    // Skip if should be excluded
-    if (tab.pinned || tab.audible) return;
+  // Tab left a window - that window's onActivated reports its new front tab
+  browserApi.tabs.onDetached.addListener((tabId, detachInfo) => {
+    if (activeTabs.get(detachInfo.oldWindowId) === tabId) activeTabs.delete(detachInfo.oldWindowId);
+  });
 
-    // Skip if whitelisted
-    if (isWhitelisted(tab.url)) return;
+  // Tab swapped for another (prerendering, session restore) - the new page is not throttled
+  browserApi.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+    console.log(`🔀 [${Date.now() % 100000}] Tab ${removedTabId} replaced by ${addedTabId}`);
+    unmarkThrottled(removedTabId);
+    cancelGracePeriod(removedTabId);
+    moveKeepAwake(removedTabId, addedTabId);
+    activeTabs.forEach((tabId, windowId) => {
+      if (tabId === removedTabId) activeTabs.set(windowId, addedTabId);
+    });
+    browserApi.tabs.get(addedTabId, (tab) => {
+      if (browserApi.runtime.lastError || !tab) return;
+      reconcileTab(tab);
+    });
+  });
 
-    console.log(`⏳ [${Date.now() % 100000}] Detected new background tab: ${tabId} - ${tab.title}`);
-    throttleTab(tabId);
+  // Window focus - make sure the front tab of the focused window is awake
+  browserApi.windows.onFocusChanged.addListener(windowId => {
+    if (windowId === browserApi.windows.WINDOW_ID_NONE) return;
+    const tabId = activeTabs.get(windowId);
+    if (powerSavingEnabled && tabId !== undefined && throttledTabs.has(tabId)) {
+      console.log(`🪟 [${Date.now() % 100000}] Window ${windowId} focused, restoring its tab: ${tabId}`);
+      restoreTab(tabId);
+    }
   });
 
+  browserApi.windows.onRemoved.addListener(windowId => activeTabs.delete(windowId));
+
   // Tab removal - clean up tracking
   browserApi.tabs.onRemoved.addListener(tabId => {
-    throttledTabs.delete(tabId);
+    unmarkThrottled(tabId);
+    cancelGracePeriod(tabId);
+    clearKeepAwake(tabId);
+    forgetDiscardedTab(tabId);
+    heartbeatActivity.delete(tabId);
+    tabSavings.delete(tabId);
+    throttleAttempts.delete(tabId);
     console.log(`🗑️ [${Date.now() % 100000}] Cleaned up throttled tab tracking for: ${tabId}`);
   });
 
@@ -135,30 +1044,113 @@ function setupMessageListener() {
   browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'power_saving_toggle') {
       console.log(`🔄 [${Date.now() % 100000}] Processing toggle command: ${message.enabled}`);
+      handleManualToggle(message.enabled);
+      sendResponse({ enabled: powerSavingEnabled, mode: powerMode, reason: powerReason });
+      return;
+    }
 
-      // Update internal state
-      powerSavingEnabled = message.enabled;
+    // Popup status line - which mode is active and why
+    if (message.type === 'get_power_state') {
+      sendResponse({ enabled: powerSavingEnabled, mode: powerMode, reason: powerReason });
+      return;
+    }
 
-      // Update button icon
-      updateButtonIcon(powerSavingEnabled);
+    // Temporary per-tab exemption set from the popup
+    if (message.type === 'keep_awake') {
+      keepTabAwake(message.tabId, message.minutes, sendResponse);
+      return true;
+    }
 
-      if (powerSavingEnabled) {
-        console.log(`✅ [${Date.now() % 100000}] POWER SAVING MODE ON - Throttling background tabs`);
-        startTabMonitoring();
-        detectAllBackgroundTabs();
-      } else {
-        console.log(`⏸️ [${Date.now() % 100000}] POWER SAVING MODE OFF - Restoring all tabs`);
-        stopTabMonitoring();
-        browserApi.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            if (isTabAccessible(tab) && throttledTabs.has(tab.id)) {
-              restoreTab(tab.id);
-            }
-          });
+    if (message.type === 'clear_keep_awake') {
+      expireKeepAwake(message.tabId);
+      sendResponse({});
+      return;
+    }
+
+    if (message.type === 'get_keep_awake') {
+      const entry = keepAwakeTabs.get(message.tabId);
+      sendResponse({ active: !!entry, until: entry ? entry.until : null });
+      return;
+    }
+
+    // Popup dashboard - every tab with its throttle state
+    if (message.type === 'get_status') {
+      browserApi.tabs.query({}, tabs => {
+        const hours = Math.max((Date.now() - wakeupStats.since) / 3600000, 1 / 60);
+        sendResponse({
+          enabled: powerSavingEnabled,
+          throttledCount: throttledTabs.size,
+          discardedCount: tabs.filter(tab => tab.discarded).length,
+          tabs: tabs.map(describeTab),
+          wakeups: {
+            total: wakeupStats.total,
+            perHour: Math.round(wakeupStats.total / hours * 10) / 10,
+            byKind: wakeupStats.byKind
+          }
         });
+      });
+      return true;
+    }
+
+    if (message.type === 'wake_tab') {
+      // wake now and give the tab a fresh grace period before it may sleep again
+      cancelGracePeriod(message.tabId);
+      backgroundSince.set(message.tabId, Date.now());
+      if (throttledTabs.has(message.tabId)) restoreTab(message.tabId);
+      browserApi.tabs.get(message.tabId, tab => {
+        if (browserApi.runtime.lastError || !tab) return;
+        if (powerSavingEnabled && isThrottleCandidate(tab)) scheduleThrottle(tab);
+      });
+      sendResponse({});
+      return;
+    }
+
+    // the user's own choice wins over the page's protections
+    if (message.type === 'sleep_tab') {
+      cancelGracePeriod(message.tabId);
+      throttleTab(message.tabId, true);
+      sendResponse({});
+      return;
+    }
+
+    // Re-run the self-check for one throttled tab
+    if (message.type === 'self_check') {
+      if (!throttledTabs.has(message.tabId)) {
+        sendResponse({ ok: false, error: 'Tab is not throttled' });
+        return;
       }
+      runSelfCheck(message.tabId, sendResponse);
+      return true;
+    }
+
+    // How many callbacks a throttled tab batched into how many wake-ups
+    if (message.type === 'get_wake_stats') {
+      executeInPage(message.tabId, { func: getWakeStats }, (results, errorMsg) => {
+        sendResponse(errorMsg ? { error: errorMsg } : (results && results[0]) || null);
+      });
+      return true;
+    }
+
+    // Structured "why is this tab (not) asleep" trace for the popup
+    if (message.type === 'explain_tab') {
+      browserApi.tabs.get(message.tabId, tab => {
+        if (browserApi.runtime.lastError || !tab) {
+          sendResponse({ error: 'Tab not found' });
+          return;
+        }
+        sendResponse(traceTab(tab));
+      });
+      return true;
+    }
+
+    // Savings history plus fresh counters from every throttled tab, for the stats page
+    if (message.type === 'get_savings') {
+      collectAllSavings(sendResponse);
+      return true;
+    }
 
-      // Keep message channel open for async response
+    if (message.type === 'exempt_site') {
+      exemptSite(message.tabId, sendResponse);
       return true;
     }
   });
@@ -166,15 +1158,32 @@ function setupMessageListener() {
 
 // Start monitoring tabs for changes
 function startTabMonitoring() {
-  console.log(`⏱️ [${Date.now() % 100000}] Starting periodic background tab monitoring (5s interval)`);
+  console.log(`⏱️ [${Date.now() % 100000}] Starting background tab monitoring (events + ${RECONCILE_INTERVAL_MS / 60000} min reconciliation sweep)`);
 
   // Clear any existing interval first
   if (window.tabMonitoringInterval) {
     clearInterval(window.tabMonitoringInterval);
   }
 
-  // Check for background tabs every 5 seconds
-  window.tabMonitoringInterval = setInterval(detectAllBackgroundTabs, 5000);
+  // Tab and window events drive throttling; the sweep only reconciles what they missed
+  window.tabMonitoringInterval = setInterval(() => {
+    countWakeup('sweep');
+    detectAllBackgroundTabs();
+  }, RECONCILE_INTERVAL_MS);
+}
+
+// Re-check one tab after an event: wake it if it is in front, otherwise start its grace period
+function reconcileTab(tab) {
+  if (!powerSavingEnabled || !tab) return;
+  if (tab.active) {
+    cancelGracePeriod(tab.id);
+    if (throttledTabs.has(tab.id)) {
+      console.log(`🔄 [${Date.now() % 100000}] Restoring active tab: ${tab.id} - ${tab.title}`);
+      restoreTab(tab.id);
+    }
+    return;
+  }
+  if (isThrottleCandidate(tab) && !throttledTabs.has(tab.id)) scheduleThrottle(tab);
 }
 
 // Stop monitoring tabs for changes
@@ -184,6 +1193,7 @@ function stopTabMonitoring() {
     clearInterval(window.tabMonitoringInterval);
     window.tabMonitoringInterval = null;
   }
+  clearGracePeriods();
 }
 
 // Detect and throttle ALL background tabs (simple & robust)
@@ -200,7 +1210,7 @@ function detectAllBackgroundTabs() {
       return;
     }
 
-    let throttledCount = 0;
+    let throttledCount = 0;   // throttled now or waiting out the grace period
     let restoredCount = 0;
 
     tabs.forEach(tab => {
@@ -210,12 +1220,14 @@ function detectAllBackgroundTabs() {
         return;
       }
 
-      // Case 1: Tab should be throttled but isn't
-      if (!tab.active && !tab.pinned && !tab.audible && !throttledTabs.has(tab.id)) {
-        console.log(`⏳ [${detectionTime % 100000}] Throttling background tab: ${tab.id} - ${tab.title}`);
-        throttleTab(tab.id);
+      // The active tab never counts as idle
+      if (tab.active) cancelGracePeriod(tab.id);
+
+      // Case 1: Tab should be throttled but isn't (waits out its grace period first)
+      if (isThrottleCandidate(tab) && !throttledTabs.has(tab.id)) {
+        scheduleThrottle(tab);
         throttledCount++;
-      } 
+      }
       // Case 2: Tab should NOT be throttled but is
       else if (tab.active && throttledTabs.has(tab.id)) {
         console.log(`🔄 [${detectionTime % 100000}] Restoring active tab: ${tab.id} - ${tab.title}`);
@@ -233,6 +1245,25 @@ function handleTabActivation(activeInfo) {
   const activationTime = Date.now();
   console.log(`🎯 [${activationTime % 100000}] TAB ACTIVATION DETECTED! Tab: ${activeInfo.tabId}`);
 
+  // The window's previous front tab (previousTabId is Firefox-only)
+  const previousTabId = activeTabs.has(activeInfo.windowId)
+    ? activeTabs.get(activeInfo.windowId)
+    : activeInfo.previousTabId;
+  activeTabs.set(activeInfo.windowId, activeInfo.tabId);
+
+  // The tab is back before its grace period ran out - nothing to throttle
+  cancelGracePeriod(activeInfo.tabId);
+  heartbeatActivity.delete(activeInfo.tabId);
+
+  // The tab we switched away from starts its grace period now
+  if (powerSavingEnabled && previousTabId !== undefined && previousTabId !== activeInfo.tabId) {
+    backgroundSince.set(previousTabId, activationTime);
+    browserApi.tabs.get(previousTabId, (tab) => {
+      if (browserApi.runtime.lastError || !tab) return;
+      if (isThrottleCandidate(tab) && !throttledTabs.has(tab.id)) scheduleThrottle(tab);
+    });
+  }
+
   // Simple: Just restore the tab if it's throttled
   setTimeout(() => {
     browserApi.tabs.get(activeInfo.tabId, (tab) => {
@@ -256,8 +1287,183 @@ function isTabAccessible(tab) {
   return isAccessible;
 }
 
+// Why a tab must stay awake right now ('' if it may be throttled)
+function getExemptReason(tab) {
+  if (!isTabAccessible(tab)) return 'Browser page - cannot be throttled';
+  if (tab.active) return 'Active tab';
+  if (tab.discarded) return 'Discarded';
+  if (tab.pinned) return 'Pinned';
+  // keep-audio sites are throttled while playing - their audio is left alone
+  if (tab.audible && !getSiteFeatures(tab.url).keepAudio) return 'Playing audio';
+  if (isKeptAwake(tab)) {
+    const until = keepAwakeTabs.get(tab.id).until;
+    return until ? `Kept awake until ${new Date(until).toLocaleTimeString()}` : 'Kept awake until closed';
+  }
+  // Never throttle a page that is still loading
+  if (tab.status === 'loading') return 'Still loading';
+  if (isWhitelisted(tab.url)) return 'Site is exempt';
+  return '';
+}
+
+// Every check behind a tab's state, in the order throttling applies them, for the popup's
+// "why is this tab (not) asleep" list. ok: true lets the tab sleep, false keeps it awake,
+// null is information only.
+function traceTab(tab) {
+  const steps = [];
+  const add = (check, ok, detail) => steps.push({ check, ok, detail });
+  const entry = throttledTabs.get(tab.id);
+
+  add('Power saving', powerSavingEnabled, `${powerSavingEnabled ? 'On' : 'Off'} - ${powerReason}`);
+
+  const scheme = RESTRICTED_SCHEMES.find(prefix => (tab.url || '').startsWith(prefix));
+  if (!tab.url) add('Page', false, 'No access to the tab\'s address');
+  else add('Page', !scheme, scheme ? `Restricted scheme ${scheme} - cannot be throttled` : 'Web page');
+
+  add('Active', !tab.active, tab.active ? 'Active tab - sleeps once you switch away' : 'In the background');
+  if (tab.discarded) add('Discarded', false, discardedTabs.has(tab.id) ? 'Discarded to free memory' : 'Discarded by the browser');
+  add('Pinned', !tab.pinned, tab.pinned ? 'Pinned tabs are never throttled' : 'Not pinned');
+
+  const features = getSiteFeatures(tab.url);
+  if (!tab.audible) add('Audio', true, 'Silent');
+  else add('Audio', features.keepAudio, features.keepAudio ? 'Playing audio - the site keeps its audio while throttled' : 'Playing audio');
+
+  if (isKeptAwake(tab)) {
+    const until = keepAwakeTabs.get(tab.id).until;
+    add('Keep awake', false, until ? `Kept awake until ${new Date(until).toLocaleTimeString()}` : 'Kept awake until closed');
+  }
+  add('Loading', tab.status !== 'loading', tab.status === 'loading' ? 'Still loading' : 'Loaded');
+
+  const rule = findRule(siteRules, tab.url);
+  const level = getSiteLevel(tab.url);
+  const ruleText = rule ? `Rule "${rule.value}" (${RULE_TYPES[rule.type].label})` : 'No rule matches';
+  const modeText = !rule && ruleMode === 'include' ? ' - only listed sites are throttled' : '';
+  add('Site rule', level !== 'exempt', `${ruleText}${modeText} - level ${THROTTLE_LEVELS[level].label.split(' - ')[0]}`);
+
+  if (protectedTabs.has(tab.id)) {
+    add('Page activity', false, `Kept awake by page: ${protectedTabs.get(tab.id).reasons.join(', ')}`);
+  }
+  if (graceTimers.has(tab.id)) {
+    const left = Math.max(0, Math.ceil((backgroundSince.get(tab.id) + graceSeconds * 1000 - Date.now()) / 1000));
+    add('Grace period', false, `Running - sleeps in ${left}s`);
+  }
+
+  const attempt = throttleAttempts.get(tab.id);
+  if (attempt) {
+    const time = new Date(attempt.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    add('Last attempt', null, `${time}: ${attempt.detail}`);
+  }
+  if (entry && entry.selfCheck) {
+    add('Self-check', entry.selfCheck.ok, entry.selfCheck.ok ? 'The page sees the overrides' : 'The page does not see some overrides');
+  }
+
+  return Object.assign({ steps, lastAttempt: attempt || null }, describeTab(tab));
+}
+
+// Check if a background tab may be throttled right now
+function isThrottleCandidate(tab) {
+  return !getExemptReason(tab);
+}
+
+// State of one tab for the popup dashboard
+function describeTab(tab) {
+  const entry = throttledTabs.get(tab.id);
+  const info = {
+    id: tab.id,
+    windowId: tab.windowId,
+    title: tab.title,
+    url: tab.url,
+    domain: getDomain(tab.url),
+    active: tab.active,
+    throttledAt: entry ? entry.throttledAt : null,
+    level: entry ? entry.level : getSiteLevel(tab.url),
+    selfCheck: entry ? entry.selfCheck || null : null,
+    activity: heartbeatActivity.get(tab.id) || null
+  };
+
+  if (entry) {
+    const warning = entry.selfCheck && !entry.selfCheck.ok ? ' - ⚠️ page does not see the overrides' : '';
+    const extras = (entry.workers ? ' + workers' : '') +
+      (entry.network && entry.network !== DEFAULT_NETWORK_POLICY ? ` + network ${entry.network}` : '');
+    if (entry.heartbeatWake) return Object.assign(info, { state: 'throttled', reason: 'Heartbeat - awake for a few seconds to sync' });
+    const step = entry.stage ? `, ${entry.stage} profile` : '';
+    return Object.assign(info, { state: 'throttled', reason: `Throttled (${entry.level}${extras}${step})${warning}` });
+  }
+
+  if (tab.discarded) {
+    const discarded = discardedTabs.get(tab.id);
+    return Object.assign(info, {
+      state: 'discarded',
+      throttledAt: discarded ? discarded.discardedAt : null,
+      reason: discarded ? 'Discarded to free memory' : 'Discarded by the browser'
+    });
+  }
+
+  const exemptReason = getExemptReason(tab);
+  if (exemptReason) return Object.assign(info, { state: 'exempt', reason: exemptReason });
+  if (!powerSavingEnabled) return Object.assign(info, { state: 'awake', reason: 'Power saving is off' });
+  if (protectedTabs.has(tab.id)) {
+    const reasons = protectedTabs.get(tab.id).reasons;
+    return Object.assign(info, { state: 'exempt', protections: reasons, reason: `Kept awake by page: ${reasons.join(', ')}` });
+  }
+  if (graceTimers.has(tab.id)) {
+    const left = Math.max(0, Math.ceil((backgroundSince.get(tab.id) + graceSeconds * 1000 - Date.now()) / 1000));
+    return Object.assign(info, { state: 'pending', reason: `Grace period - sleeps in ${left}s` });
+  }
+  return Object.assign(info, { state: 'awake', reason: 'Waiting for next check' });
+}
+
+// Record a throttled tab and refresh the toolbar badge
+function markThrottled(tabId, level) {
+  throttledTabs.set(tabId, { level, throttledAt: Date.now(), stage: getStartStage() });
+  scheduleEscalation(tabId, getNextEscalationDelay(escalation, 0));
+  updateBadge();
+}
+
+// Forget a throttled tab and refresh the toolbar badge
+function unmarkThrottled(tabId) {
+  throttledTabs.delete(tabId);
+  scheduleEscalation(tabId, null);
+  cancelHeartbeat(tabId);
+  updateBadge();
+}
+
+// Number of sleeping tabs on the toolbar button
+function updateBadge() {
+  browserApi.browserAction.setBadgeText({ text: throttledTabs.size ? String(throttledTabs.size) : '' });
+}
+
+// Popup "never throttle this site" - sets the rule that applies to the tab to exempt, or
+// adds an exempt rule for its exact host (a domain rule would lose to host/pattern rules)
+function exemptSite(tabId, callback) {
+  browserApi.tabs.get(tabId, tab => {
+    if (browserApi.runtime.lastError || !tab) {
+      callback({ error: 'Tab not found' });
+      return;
+    }
+    const host = getHost(tab.url);
+    if (!host) {
+      callback({ error: 'Tab has no site' });
+      return;
+    }
+
+    browserApi.storage.local.get('whitelistedSites', data => {
+      const rules = normalizeRules(data.whitelistedSites);
+      let rule = findRule(rules, tab.url);
+      if (rule) rule.level = 'exempt';
+      else rules.push(rule = { type: 'host', value: host, level: 'exempt' });
+      // storage.onChanged wakes the site's tabs via refreshThrottleLevels()
+      browserApi.storage.local.set({ whitelistedSites: rules }, () => callback({ type: rule.type, value: rule.value }));
+    });
+  });
+}
+
+// Remember how a throttle attempt ended, for the decision trace
+function recordAttempt(tabId, outcome, detail) {
+  throttleAttempts.set(tabId, { at: Date.now(), outcome, detail });
+}
+
 // Throttle a specific tab - ENHANCED WITH REDECLARATION FIX
-function throttleTab(tabId) {
+function throttleTab(tabId, ignoreProtections) {
   const throttleTime = Date.now();
   console.log(`⚡ [${throttleTime % 100000}] ATTEMPTING TO THROTTLE tab: ${tabId}`);
 
@@ -271,19 +1477,37 @@ function throttleTab(tabId) {
     if (browserApi.runtime.lastError || !isTabAccessible(tab)) {
       if (browserApi.runtime.lastError) {
         console.debug(`❌ [${throttleTime % 100000}] Failed to get tab for throttling:`, browserApi.runtime.lastError.message);
+      } else {
+        recordAttempt(tabId, 'restricted', 'Skipped - browser page');
       }
       return;
     }
 
+    if (isWhitelisted(tab.url)) {
+      console.log(`⏭️ [${throttleTime % 100000}] Site is exempt, not throttling: ${tab.url}`);
+      recordAttempt(tabId, 'exempt', 'Skipped - site is exempt');
+      return;
+    }
+
+    if (isKeptAwake(tab)) {
+      console.log(`⏭️ [${throttleTime % 100000}] Tab is kept awake, not throttling: ${tabId}`);
+      recordAttempt(tabId, 'kept-awake', 'Skipped - kept awake');
+      return;
+    }
+
+    if (tab.status === 'loading') {
+      console.log(`⏭️ [${throttleTime % 100000}] Tab still loading, throttling once it completes: ${tabId}`);
+      recordAttempt(tabId, 'loading', 'Skipped - still loading');
+      return;
+    }
+
     // Before injecting, check if the page already has the throttle applied
-    browserApi.tabs.executeScript(tabId, {
-      code: 'typeof window.__tabPowerSaverApplied !== "undefined" && window.__tabPowerSaverApplied === true'
-    }, (checkResults) => {
-      if (browserApi.runtime.lastError) {
-        const errorMsg = browserApi.runtime.lastError.message;
+    executeInPage(tabId, { func: isThrottleApplied }, (checkResults, errorMsg) => {
+      if (errorMsg) {
         // If we can't check, the page likely doesn't allow script injection at all
         if (errorMsg.includes('Missing host permission') || errorMsg.includes('access')) {
           console.debug(`🔒 [${throttleTime % 100000}] Cannot access tab, skipping: ${errorMsg}`);
+          recordAttempt(tabId, 'no-access', `Cannot run scripts in the page: ${errorMsg}`);
           return; // Don't try to inject if we can't even check
         }
         console.debug(`⚠️ [${throttleTime % 100000}] Could not check throttle status, attempting injection: ${errorMsg}`);
@@ -293,69 +1517,122 @@ function throttleTab(tabId) {
 
       if (checkResults && checkResults[0] === true) {
         console.log(`⏭️ [${throttleTime % 100000}] Tab already throttled in page, adding to set: ${tabId}`);
-        throttledTabs.add(tabId);
+        recordAttempt(tabId, 'already-applied', 'The page already carried the throttle marker - tracked without injecting again');
+        markThrottled(tabId, getSiteLevel(tab.url));
+        scheduleHeartbeat(tabId, getSiteHeartbeat(tab.url));
+        return;
+      }
+
+      if (ignoreProtections) {
+        injectThrottleScript(tabId, tab, throttleTime);
         return;
       }
 
-      // Not throttled, inject the script
-      injectThrottleScript(tabId, tab, throttleTime);
+      // Not throttled - unless the page is busy with something sleep would break
+      executeInPage(tabId, { func: getPageProtections }, (protectionResults) => {
+        const reasons = (protectionResults && protectionResults[0]) || [];
+        if (reasons.length) {
+          protectedTabs.set(tabId, { reasons, checkedAt: Date.now() });
+          console.log(`🛡️ [${throttleTime % 100000}] Page is busy, not throttling: ${tabId} (${reasons.join(', ')})`);
+          recordAttempt(tabId, 'protected', `Skipped - ${reasons.join(', ')}`);
+          return;
+        }
+        protectedTabs.delete(tabId);
+        injectThrottleScript(tabId, tab, throttleTime);
+      });
     });
   });
 }
 
+// Hand the profile of a ladder step (null = the selected one) and the site's features to the
+// next throttle-script.js run in this tab
+function passThrottleConfig(tabId, stage, features, callback) {
+  const config = Object.assign(getStageProfileValues(stage), { wakePhase: WAKE_PHASE, features });
+  executeInPage(tabId, { func: setThrottleConfig, args: [config] }, callback);
+}
+
 // Helper function to inject throttle script
 function injectThrottleScript(tabId, tab, throttleTime) {
+  const level = getSiteLevel(tab.url);
+  const features = getSiteFeatures(tab.url);
   try {
-    browserApi.tabs.executeScript(tabId, {
-      file: 'throttle-script.js'
-    }, (results) => {
-      if (browserApi.runtime.lastError) {
-        const errorMsg = browserApi.runtime.lastError.message;
-        if (errorMsg.includes('Missing host permission') || errorMsg.includes('access')) {
-          console.log(`🔒 [${throttleTime % 100000}] Skipping tab without permission: ${tab.url}`);
-        } else {
-          console.error(`❌ [${throttleTime % 100000}] Failed to throttle tab ${tabId} (${tab.url}):`, errorMsg);
-        }
-        return;
+    passThrottleConfig(tabId, getStartStage(), features, (configResults, configError) => {
+      if (configError) {
+        console.debug(`⚠️ [${throttleTime % 100000}] Could not pass profile, using defaults: ${configError}`);
       }
-      
-      // Add to Set AFTER successful injection
-      throttledTabs.add(tabId);
-      console.log(`✅ [${throttleTime % 100000}] THROTTLED tab: ${tabId} - ${tab.title}`);
+      executeInPage(tabId, { files: THROTTLE_FILES }, (results, errorMsg) => {
+        if (errorMsg) {
+          if (errorMsg.includes('Missing host permission') || errorMsg.includes('access')) {
+            console.log(`🔒 [${throttleTime % 100000}] Skipping tab without permission: ${tab.url}`);
+          } else {
+            console.error(`❌ [${throttleTime % 100000}] Failed to throttle tab ${tabId} (${tab.url}):`, errorMsg);
+          }
+          recordAttempt(tabId, 'injection-failed', `Injection failed: ${errorMsg}`);
+          return;
+        }
+
+        // Add to Map AFTER successful injection
+        markThrottled(tabId, level);
+        Object.assign(throttledTabs.get(tabId), { workers: features.workers, network: features.network });
+        scheduleHeartbeat(tabId, getSiteHeartbeat(tab.url));
+        console.log(`✅ [${throttleTime % 100000}] THROTTLED tab (${level}${features.workers ? ' + workers' : ''}): ${tabId} - ${tab.title}`);
+        recordAttempt(tabId, 'throttled', `Throttled at level ${level}`);
+        runSelfCheck(tabId);
+      });
     });
   } catch (e) {
     console.error(`❌ [${throttleTime % 100000}] Exception while throttling tab ${tabId}:`, e.message);
+    recordAttempt(tabId, 'injection-failed', `Injection failed: ${e.message}`);
   }
 }
 
-// Restore a specific tab
-function restoreTab(tabId) {
+// Push the active profile into an already throttled tab (the script only updates its values)
+function reconfigureTab(tabId) {
+  const entry = throttledTabs.get(tabId);
+  // a tab in a heartbeat wake-up picks the new values up when it is throttled again
+  if (!entry || entry.heartbeatWake) return;
+  // features only matter on the first run - a throttled page just takes the new values
+  passThrottleConfig(tabId, entry.stage || null, getLevelFeatures(entry.level), (configResults, configError) => {
+    if (configError) return;
+    executeInPage(tabId, { files: THROTTLE_FILES }, (results, errorMsg) => {
+      if (errorMsg) {
+        console.debug(`⚠️ [${Date.now() % 100000}] Could not update profile of tab ${tabId}:`, errorMsg);
+      }
+    });
+  });
+}
+
+// Restore a specific tab; onRestored runs once it is awake (or could not be reached)
+function restoreTab(tabId, onRestored) {
   const restoreTime = Date.now();
+  const done = () => {
+    unmarkThrottled(tabId);
+    if (onRestored) onRestored();
+  };
   console.log(`🔄 [${restoreTime % 100000}] ATTEMPTING TO RESTORE tab: ${tabId}`);
 
   browserApi.tabs.get(tabId, (tab) => {
     if (browserApi.runtime.lastError || !isTabAccessible(tab)) {
       console.error(`❌ [${restoreTime % 100000}] Failed to get tab for restoration:`, browserApi.runtime.lastError);
-      throttledTabs.delete(tabId);
+      done();
       return;
     }
 
     try {
-      browserApi.tabs.executeScript(tabId, {
-        file: 'restore-script.js'
-      }, () => {
-        if (browserApi.runtime.lastError) {
-          if (!browserApi.runtime.lastError.message.includes('Missing host permission')) {
-            console.error(`❌ [${restoreTime % 100000}] Failed to restore tab: ${tabId} - ${tab.title}`, browserApi.runtime.lastError.message);
+      executeInPage(tabId, { files: ['restore-script.js'] }, (results, errorMsg) => {
+        if (errorMsg) {
+          if (!errorMsg.includes('Missing host permission')) {
+            console.error(`❌ [${restoreTime % 100000}] Failed to restore tab: ${tabId} - ${tab.title}`, errorMsg);
           }
         } else {
           console.log(`✅ [${restoreTime % 100000}] RESTORED tab: ${tabId} - ${tab.title}`);
+          collectSavings(tabId, tab.url);
         }
-        throttledTabs.delete(tabId);
+        done();
       });
     } catch (e) {
       console.error(`❌ [${restoreTime % 100000}] Exception while restoring tab: ${tabId} - ${tab.title}`, e.message);
-      throttledTabs.delete(tabId);
+      done();
     }
   });
 }
@@ -363,25 +1640,7 @@ function restoreTab(tabId) {
 // Handle button clicks
 function setupButtonListener() {
   browserApi.browserAction.onClicked.addListener(() => {
-    powerSavingEnabled = !powerSavingEnabled;
-    browserApi.storage.local.set({ powerSavingEnabled });
-    updateButtonIcon(powerSavingEnabled);
-
-    if (powerSavingEnabled) {
-      console.log(`✅ [${Date.now() % 100000}] POWER SAVING MODE ON - Throttling background tabs`);
-      startTabMonitoring();
-      detectAllBackgroundTabs();
-    } else {
-      console.log(`⏸️ [${Date.now() % 100000}] POWER SAVING MODE OFF - Restoring all tabs`);
-      stopTabMonitoring();
-      browserApi.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          if (isTabAccessible(tab) && throttledTabs.has(tab.id)) {
-            restoreTab(tab.id);
-          }
-        });
-      });
-    }
+    handleManualToggle(!powerSavingEnabled);
   });
 }
 
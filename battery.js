@@ -0,0 +1,43 @@
+// Battery-driven automatic mode - shared by the background page and the options page
+// Kept free of extension APIs so it can be exercised with a mocked battery object
+
+// Charge level (percent) at or below which power saving switches on while unplugged;
+// 100 means "whenever unplugged"
+const DEFAULT_BATTERY_THRESHOLD = 100;
+
+// true if the browser lets us read the battery - Firefox does not (navigator.getBattery is
+// gone for web pages and extensions alike), so automatic mode is not offered there
+function isBatteryApiAvailable() {
+  return typeof navigator !== 'undefined' && typeof navigator.getBattery === 'function';
+}
+
+// Power saving decision for one battery reading ({ charging, level: 0..1 }), or null
+// if there is no reading
+function evaluateBattery(battery, threshold) {
+  if (!battery) return null;
+  const percent = Math.round(battery.level * 100);
+  if (battery.charging) {
+    return { enabled: false, reason: `Charging (${percent}%)` };
+  }
+  if (percent <= threshold) {
+    return {
+      enabled: true,
+      reason: threshold >= 100 ? `On battery (${percent}%)` : `On battery below ${threshold}% (${percent}%)`
+    };
+  }
+  return { enabled: false, reason: `On battery above ${threshold}% (${percent}%)` };
+}
+
+// Subscribe to battery changes. getBattery is navigator.getBattery (or a mock returning
+// a promise of an EventTarget-like battery); onChange gets the battery on every change.
+// Resolves to false if the Battery Status API is unavailable.
+function watchBattery(getBattery, onChange) {
+  if (typeof getBattery !== 'function') return Promise.resolve(false);
+  return getBattery().then(battery => {
+    const notify = () => onChange(battery);
+    battery.addEventListener('chargingchange', notify);
+    battery.addEventListener('levelchange', notify);
+    notify();
+    return true;
+  }).catch(() => false);
+}
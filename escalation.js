@@ -0,0 +1,34 @@
+// Sleep escalation ladder - shared by the background page and the options page
+// With the ladder on, a throttled tab starts on the Light profile, moves to the Deep profile
+// after deepMinutes and is discarded after discardMinutes (0 skips that step).
+
+const DEFAULT_ESCALATION = { enabled: false, deepMinutes: 10, discardMinutes: 60 };
+
+// Stored settings with missing or invalid values replaced by the defaults
+function normalizeEscalation(stored) {
+  const settings = Object.assign({}, DEFAULT_ESCALATION, stored);
+  settings.enabled = settings.enabled === true;
+  ['deepMinutes', 'discardMinutes'].forEach(key => {
+    const value = Number(settings[key]);
+    settings[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_ESCALATION[key];
+  });
+  return settings;
+}
+
+// Step a tab has reached after sleeping for asleepMs: 'light', 'deep' or 'discard',
+// or null while the ladder is off (the selected profile applies)
+function getEscalationStage(settings, asleepMs) {
+  if (!settings.enabled) return null;
+  if (settings.discardMinutes > 0 && asleepMs >= settings.discardMinutes * 60000) return 'discard';
+  if (settings.deepMinutes > 0 && asleepMs >= settings.deepMinutes * 60000) return 'deep';
+  return 'light';
+}
+
+// Milliseconds until the tab reaches its next step, or null if there is none
+function getNextEscalationDelay(settings, asleepMs) {
+  if (!settings.enabled) return null;
+  const upcoming = [settings.deepMinutes, settings.discardMinutes]
+    .filter(minutes => minutes > 0 && minutes * 60000 > asleepMs)
+    .map(minutes => minutes * 60000 - asleepMs);
+  return upcoming.length ? Math.min(...upcoming) : null;
+}
@@ -0,0 +1,226 @@
+const browserApi = typeof browser !== 'undefined' ? browser : chrome;
+
+const profileSelect = document.getElementById('profileSelect');
+const fieldsEl      = document.getElementById('profileFields');
+const saveBtn       = document.getElementById('saveProfileBtn');
+const resetBtn      = document.getElementById('resetProfileBtn');
+const statusEl      = document.getElementById('profileStatus');
+const graceInput    = document.getElementById('graceInput');
+const saveGraceBtn  = document.getElementById('saveGraceBtn');
+const graceStatus   = document.getElementById('graceStatus');
+const batteryInput  = document.getElementById('batteryInput');
+const saveBatteryBtn = document.getElementById('saveBatteryBtn');
+const batteryStatus = document.getElementById('batteryStatus');
+const scheduleEl    = document.getElementById('scheduleRules');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+const saveScheduleBtn = document.getElementById('saveScheduleBtn');
+const scheduleStatus = document.getElementById('scheduleStatus');
+const escalationEnabledInput = document.getElementById('escalationEnabledInput');
+const deepMinutesInput = document.getElementById('deepMinutesInput');
+const discardMinutesInput = document.getElementById('discardMinutesInput');
+const saveEscalationBtn = document.getElementById('saveEscalationBtn');
+const escalationStatus = document.getElementById('escalationStatus');
+
+let profiles = mergeProfiles();
+let scheduleRules = [];
+
+// Load stored profiles
+browserApi.storage.local.get(['throttleProfiles', 'activeProfile'], data => {
+  profiles = mergeProfiles(data.throttleProfiles);
+  renderProfileSelect(data.activeProfile || DEFAULT_PROFILE);
+  renderProfileFields();
+  renderSchedule();
+});
+
+// Show the values of another profile
+profileSelect.addEventListener('change', () => {
+  statusEl.textContent = '';
+  renderProfileFields();
+});
+
+// Save values + make the shown profile active
+saveBtn.addEventListener('click', () => {
+  const name = profileSelect.value;
+  PROFILE_FIELDS.forEach(({ key }) => {
+    const value = Number(document.getElementById('field-' + key).value);
+    if (Number.isFinite(value) && value >= 0) profiles[name][key] = value;
+  });
+  browserApi.storage.local.set({ throttleProfiles: profiles, activeProfile: name }, () => {
+    renderProfileFields();
+    statusEl.textContent = 'Saved';
+  });
+});
+
+// Restore the built-in values of the shown profile
+resetBtn.addEventListener('click', () => {
+  const name = profileSelect.value;
+  profiles[name] = Object.assign({}, DEFAULT_PROFILES[name]);
+  renderProfileFields();
+  statusEl.textContent = '';
+});
+
+function renderProfileSelect(active) {
+  profileSelect.innerHTML = '';
+  Object.keys(profiles).forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = profiles[name].label;
+    profileSelect.appendChild(opt);
+  });
+  profileSelect.value = profiles[active] ? active : DEFAULT_PROFILE;
+}
+
+function renderProfileFields() {
+  const profile = profiles[profileSelect.value];
+  fieldsEl.innerHTML = '';
+  PROFILE_FIELDS.forEach(({ key, label }) => {
+    const row = document.createElement('div');
+    row.className = 'profile-field';
+
+    const lbl = document.createElement('label');
+    lbl.htmlFor = 'field-' + key;
+    lbl.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '100';
+    input.id = 'field-' + key;
+    input.value = profile[key];
+
+    row.appendChild(lbl);
+    row.appendChild(input);
+    fieldsEl.appendChild(row);
+  });
+}
+
+// Grace period
+browserApi.storage.local.get('graceSeconds', data => {
+  graceInput.value = Number.isFinite(data.graceSeconds) ? data.graceSeconds : DEFAULT_GRACE_SECONDS;
+});
+
+saveGraceBtn.addEventListener('click', () => {
+  const value = Number(graceInput.value);
+  if (!Number.isFinite(value) || value < 0) {
+    graceStatus.textContent = '';
+    return;
+  }
+  browserApi.storage.local.set({ graceSeconds: value }, () => {
+    graceStatus.textContent = 'Saved';
+  });
+});
+
+// Sleep escalation ladder
+browserApi.storage.local.get('sleepEscalation', data => {
+  const escalation = normalizeEscalation(data.sleepEscalation);
+  escalationEnabledInput.checked = escalation.enabled;
+  deepMinutesInput.value = escalation.deepMinutes;
+  discardMinutesInput.value = escalation.discardMinutes;
+});
+
+saveEscalationBtn.addEventListener('click', () => {
+  const deepMinutes = Number(deepMinutesInput.value);
+  const discardMinutes = Number(discardMinutesInput.value);
+  if (![deepMinutes, discardMinutes].every(value => Number.isFinite(value) && value >= 0)) {
+    escalationStatus.textContent = '';
+    return;
+  }
+  const sleepEscalation = { enabled: escalationEnabledInput.checked, deepMinutes, discardMinutes };
+  browserApi.storage.local.set({ sleepEscalation }, () => {
+    escalationStatus.textContent = 'Saved';
+  });
+});
+
+// Automatic mode threshold - hidden where the battery cannot be read
+if (!isBatteryApiAvailable()) {
+  document.getElementById('batteryControls').hidden = true;
+  document.getElementById('batteryUnavailable').hidden = false;
+}
+
+browserApi.storage.local.get('batteryThreshold', data => {
+  batteryInput.value = Number.isFinite(data.batteryThreshold) ? data.batteryThreshold : DEFAULT_BATTERY_THRESHOLD;
+});
+
+saveBatteryBtn.addEventListener('click', () => {
+  const value = Number(batteryInput.value);
+  if (!Number.isFinite(value) || value < 1 || value > 100) {
+    batteryStatus.textContent = '';
+    return;
+  }
+  browserApi.storage.local.set({ batteryThreshold: value }, () => {
+    batteryStatus.textContent = 'Saved';
+  });
+});
+
+// Schedule rules
+browserApi.storage.local.get('powerSchedule', data => {
+  scheduleRules = data.powerSchedule || [];
+  renderSchedule();
+});
+
+addScheduleBtn.addEventListener('click', () => {
+  scheduleRules.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00', action: 'on', profile: '' });
+  scheduleStatus.textContent = '';
+  renderSchedule();
+});
+
+saveScheduleBtn.addEventListener('click', () => {
+  browserApi.storage.local.set({ powerSchedule: scheduleRules }, () => {
+    scheduleStatus.textContent = 'Saved';
+  });
+});
+
+function renderSchedule() {
+  scheduleEl.innerHTML = '';
+  scheduleRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'schedule-rule';
+
+    WEEKDAY_LABELS.forEach((label, day) => {
+      const lbl = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = rule.days.includes(day);
+      box.onchange = () => {
+        rule.days = box.checked ? rule.days.concat(day).sort() : rule.days.filter(d => d !== day);
+      };
+      lbl.appendChild(box);
+      lbl.appendChild(document.createTextNode(label));
+      row.appendChild(lbl);
+    });
+
+    ['start', 'end'].forEach(key => {
+      const time = document.createElement('input');
+      time.type = 'time';
+      time.value = rule[key] || '';
+      time.onchange = () => { rule[key] = time.value; };
+      row.appendChild(time);
+    });
+
+    const action = document.createElement('select');
+    [['on', 'Power saving on'], ['off', 'Power saving off']].forEach(([value, text]) => {
+      action.appendChild(new Option(text, value));
+    });
+    action.value = rule.action;
+    action.onchange = () => { rule.action = action.value; };
+    row.appendChild(action);
+
+    const profile = document.createElement('select');
+    profile.appendChild(new Option('Selected profile', ''));
+    Object.keys(profiles).forEach(name => profile.appendChild(new Option(profiles[name].label, name)));
+    profile.value = rule.profile || '';
+    profile.onchange = () => { rule.profile = profile.value; };
+    row.appendChild(profile);
+
+    const remove = document.createElement('button');
+    remove.className = 'btn secondary';
+    remove.textContent = '✕';
+    remove.onclick = () => {
+      scheduleRules.splice(index, 1);
+      renderSchedule();
+    };
+    row.appendChild(remove);
+
+    scheduleEl.appendChild(row);
+  });
+}
@@ -0,0 +1,1013 @@
+(function () {
+  'use strict';
+  // Main-world registry of what the page schedules. Registered by background.js at
+  // document_start for sites that may be throttled, and injected again right before
+  // throttle-script.js for tabs that were already open - so throttling can also reach timers
+  // created before the tab went to sleep.
+  // Timers, coalescing and protections are always installed; the sections that wrap more
+  // page APIs only when the registry-*.js files run first and ask for them, or once
+  // throttle-script.js enables them for the site's features.
+  const requested = window.__tabPowerSaverRegistryFeatures || {};
+  delete window.__tabPowerSaverRegistryFeatures;
+  if (window.__tabPowerSaverRegistry) {
+    window.__tabPowerSaverRegistry.enable(requested);
+    return;
+  }
+
+  const nativeSetTimeout = window.setTimeout.bind(window);
+  const nativeSetInterval = window.setInterval.bind(window);
+  const nativeClearTimeout = window.clearTimeout.bind(window);
+  const nativeClearInterval = window.clearInterval.bind(window);
+
+  // === 1. TIMERS ===
+  // Every pending timer: id -> { id, type, callback, delay, args, start, realId, wakeAt }
+  // The page keeps the id it was given first; re-timing only swaps the real timer behind it.
+  // Intervals are chained timeouts so each period can be re-timed on its own.
+  // 'deferred' timers are our own (deferred animation frames) - never stretched, but batched.
+  const timers = new Map();
+
+  // null while awake, or the live throttle settings ({ timeoutFloor, intervalFloor }) while asleep
+  let stretch = null;
+
+  // null, or the live settings with { wakeWindow, wakePhase } while wake-ups are coalesced
+  let wake = null;
+
+  // What throttling did in this tab (heldRequests, framesDeferred, canvasSkipped and
+  // mediaPaused are counted by throttle-script.js); wakeupsAvoided is an estimate
+  const stats = {
+    batched: 0, wakeups: 0, heldRequests: 0, bufferedMessages: 0, timersStretched: 0,
+    framesDeferred: 0, canvasSkipped: 0, mediaPaused: 0, observerBatches: 0, wakeupsAvoided: 0
+  };
+  // stats as of the last takeReport()
+  const reported = {};
+
+  function effectiveDelay(timer) {
+    if (!stretch || timer.type === 'deferred') return timer.delay;
+    return Math.max(timer.delay, timer.type === 'interval' ? stretch.intervalFloor : stretch.timeoutFloor);
+  }
+
+  function isCoalesced(timer) {
+    return !!wake && wake.wakeWindow > 0 && (!!stretch || timer.type === 'deferred');
+  }
+
+  // (Re)arm the timer for the rest of the current period - either its own real timer,
+  // or a slot in the next shared wake-up window
+  function arm(timer) {
+    const wait = Math.max(0, timer.start + effectiveDelay(timer) - performance.now());
+    if (isCoalesced(timer)) {
+      timer.realId = null;
+      timer.wakeAt = nextWakeBoundary(Date.now() + wait);
+      scheduleBatch();
+      return;
+    }
+    timer.wakeAt = null;
+    timer.realId = nativeSetTimeout(() => fire(timer), wait);
+  }
+
+  function disarm(timer) {
+    if (timer.realId !== null) nativeClearTimeout(timer.realId);
+    timer.realId = null;
+    timer.wakeAt = null;
+  }
+
+  function fire(timer) {
+    const delay = effectiveDelay(timer);
+    if (delay > timer.delay) {
+      stats.timersStretched++;
+      // an interval would have run this many more times at its own pace (4 ms at the least)
+      if (timer.type === 'interval') stats.wakeupsAvoided += Math.floor(delay / Math.max(timer.delay, 4)) - 1;
+    }
+    if (timer.type === 'interval') {
+      timer.start = performance.now();
+      arm(timer);
+    } else {
+      timers.delete(timer.id);
+    }
+    timer.callback.apply(window, timer.args);
+  }
+
+  // A fresh id the browser will never hand out again (cleared at once - no wake-up)
+  function allocateId() {
+    const id = nativeSetTimeout(() => {});
+    nativeClearTimeout(id);
+    return id;
+  }
+
+  function schedule(type, callback, delay, args) {
+    const timer = {
+      type,
+      callback,
+      delay: Math.max(0, Number(delay) || 0),
+      args,
+      start: performance.now(),
+      realId: null,
+      wakeAt: null
+    };
+    arm(timer);
+    timer.id = timer.realId !== null ? timer.realId : allocateId();
+    timers.set(timer.id, timer);
+    // arm() aimed the batch timer before this timer was in the map
+    if (timer.wakeAt !== null) scheduleBatch();
+    return timer.id;
+  }
+
+  function cancel(id) {
+    const timer = timers.get(id);
+    if (!timer) {
+      // created before the registry was installed, or a string timer
+      nativeClearTimeout(id);
+      nativeClearInterval(id);
+      return;
+    }
+    disarm(timer);
+    timers.delete(id);
+  }
+
+  // Cancel every pending real timer and re-create it with the current timing
+  function retimeAll() {
+    timers.forEach(timer => {
+      disarm(timer);
+      arm(timer);
+    });
+    scheduleBatch();
+  }
+
+  // Run a page callback of a batch; its errors are reported like uncaught ones
+  function runReported(run) {
+    try {
+      run();
+    } catch (e) {
+      if (typeof window.reportError === 'function') window.reportError(e);
+      else console.error(e);
+    }
+  }
+
+  // === 2. WAKE-UP COALESCING ===
+  // Batched timers all run in one task at the next boundary of the wake window. Boundaries
+  // are wall-clock multiples of the window from a phase shared by every throttled tab,
+  // so all sleeping tabs wake up together and the CPU can stay idle in between.
+  let batchTimer = null;
+  let batchAt = null;
+
+  function nextWakeBoundary(time) {
+    const phase = Number(wake.wakePhase) || 0;
+    const boundary = phase + Math.ceil((time - phase) / wake.wakeWindow) * wake.wakeWindow;
+    return boundary > Date.now() ? boundary : boundary + wake.wakeWindow;
+  }
+
+  // Keep one real timer pointed at the earliest pending window
+  function scheduleBatch() {
+    let earliest = null;
+    timers.forEach(timer => {
+      if (timer.wakeAt !== null && (earliest === null || timer.wakeAt < earliest)) earliest = timer.wakeAt;
+    });
+    if (earliest === batchAt) return;
+    if (batchTimer !== null) nativeClearTimeout(batchTimer);
+    batchTimer = null;
+    batchAt = earliest;
+    if (earliest !== null) batchTimer = nativeSetTimeout(runBatch, Math.max(0, earliest - Date.now()));
+  }
+
+  function runBatch() {
+    batchTimer = null;
+    batchAt = null;
+    // timers can fire a little early against the wall clock - allow some slack
+    const now = Date.now() + 50;
+    const due = [];
+    timers.forEach(timer => {
+      if (timer.wakeAt !== null && timer.wakeAt <= now) due.push(timer);
+    });
+    // same order as they would have run on their own
+    due.sort((a, b) => (a.start + effectiveDelay(a)) - (b.start + effectiveDelay(b)));
+    if (due.length) {
+      stats.wakeups++;
+      stats.batched += due.length;
+      stats.wakeupsAvoided += due.length - 1;
+    }
+    due.forEach(timer => {
+      // cancelled by an earlier callback of this batch
+      if (timers.get(timer.id) !== timer || timer.wakeAt === null || timer.wakeAt > now) return;
+      timer.wakeAt = null;
+      // one failing callback must not hold back the rest of the batch
+      runReported(() => fire(timer));
+    });
+    scheduleBatch();
+  }
+
+  const registeredSetTimeout = function setTimeout(callback, delay, ...args) {
+    // string callbacks ("eval" timers) are left to the browser
+    if (typeof callback !== 'function') return nativeSetTimeout(callback, delay, ...args);
+    return schedule('timeout', callback, delay, args);
+  };
+
+  const registeredSetInterval = function setInterval(callback, delay, ...args) {
+    if (typeof callback !== 'function') return nativeSetInterval(callback, delay, ...args);
+    return schedule('interval', callback, delay, args);
+  };
+
+  const registeredClearTimeout = function clearTimeout(id) {
+    cancel(id);
+  };
+
+  // Untouched browser APIs for our own scripts
+  const nativeApis = {
+    setTimeout: nativeSetTimeout,
+    setInterval: nativeSetInterval,
+    clearTimeout: nativeClearTimeout,
+    clearInterval: nativeClearInterval,
+    MutationObserver: window.MutationObserver
+  };
+
+  [
+    ['setTimeout', registeredSetTimeout],
+    ['setInterval', registeredSetInterval],
+    ['clearTimeout', registeredClearTimeout],
+    ['clearInterval', registeredClearTimeout]
+  ].forEach(([name, value]) => {
+    Object.defineProperty(window, name, { value, configurable: true, writable: true });
+  });
+
+  // Helpers for the constructors wrapped below (workers and sockets)
+  const nativeAddEventListener = EventTarget.prototype.addEventListener;
+
+  // Objects the page creates and may drop at any time, held weakly so the garbage collector
+  // can still take them; forEach skips (and forgets) the ones it took
+  function weakList() {
+    const refs = new Set();
+    return {
+      add(item) {
+        refs.add(new WeakRef(item));
+      },
+      delete(item) {
+        refs.forEach(ref => { if (ref.deref() === item) refs.delete(ref); });
+      },
+      forEach(callback) {
+        refs.forEach(ref => {
+          const item = ref.deref();
+          if (item) callback(item);
+          else refs.delete(ref);
+        });
+      },
+      toArray() {
+        const items = [];
+        this.forEach(item => items.push(item));
+        return items;
+      }
+    };
+  }
+
+  // true while held-back events are re-dispatched to the page
+  let replaying = false;
+
+  // Replace window[name] with a constructor that builds its objects through
+  // create(NativeClass, args, newTarget) - instanceof, subclasses and statics keep working
+  function wrapConstructor(name, create) {
+    const NativeClass = window[name];
+    if (typeof NativeClass !== 'function') return;
+    const Wrapped = function (...args) {
+      if (!new.target) return NativeClass(...args); // throws like the original
+      return create(NativeClass, args, new.target);
+    };
+    Wrapped.prototype = NativeClass.prototype;
+    Object.setPrototypeOf(Wrapped, NativeClass);
+    Object.defineProperty(window, name, { value: Wrapped, configurable: true, writable: true });
+  }
+
+  // Listen for type on target before any page listener; hold(event) returns true to keep
+  // the event from the page (it is queued by hold and re-dispatched later)
+  function captureEvents(target, type, hold) {
+    nativeAddEventListener.call(target, type, event => {
+      if (replaying || !hold(event)) return;
+      event.stopImmediatePropagation();
+    });
+  }
+
+  // A fresh copy of a message, close or error event that can be dispatched again
+  function copyEvent(event) {
+    if (event.type === 'close') {
+      return new CloseEvent('close', { code: event.code, reason: event.reason, wasClean: event.wasClean });
+    }
+    if (event.type === 'error') {
+      return new ErrorEvent('error', {
+        message: event.message,
+        filename: event.filename,
+        lineno: event.lineno,
+        colno: event.colno,
+        error: event.error,
+        cancelable: true
+      });
+    }
+    return new MessageEvent(event.type, {
+      data: event.data,
+      origin: event.origin,
+      lastEventId: event.lastEventId,
+      ports: Array.from(event.ports || [])
+    });
+  }
+
+  // Re-dispatch held-back events in their original order
+  function replayEvents(target, events) {
+    replaying = true;
+    try {
+      events.forEach(event => target.dispatchEvent(copyEvent(event)));
+    } finally {
+      replaying = false;
+    }
+  }
+
+  // === 2b. MESSAGE CHANNEL LOOPS ===
+  // Schedulers like React's post to their own MessageChannel to get a task without a timer.
+  // While tasks are throttled, a message posted without transfers to a channel whose other
+  // end is listened to in this page is held back and handed over with the rest every
+  // timeoutFloor, in the order it was posted. Ports that carry transfers or talk to another
+  // window or worker (nothing here listens on the other end) are left alone.
+  const nativePortPost = typeof MessagePort === 'function' ? MessagePort.prototype.postMessage : null;
+
+  // ports something in this page listens on
+  const listenedPorts = new WeakSet();
+  // [{ port, args }] in the order they were posted
+  const heldPortMessages = [];
+
+  // null while awake, or the live throttle settings ({ timeoutFloor }) while tasks are throttled
+  let taskThrottle = null;
+  let portFlushId = null;
+
+  function flushPortMessages() {
+    if (portFlushId !== null) cancel(portFlushId);
+    portFlushId = null;
+    const held = heldPortMessages.splice(0);
+    if (held.length > 1) stats.wakeupsAvoided += held.length - 1;
+    held.forEach(({ port, args }) => runReported(() => nativePortPost.apply(port, args)));
+  }
+
+  function setTaskThrottle(values) {
+    taskThrottle = values;
+    if (!values) flushPortMessages();
+  }
+
+  // postMessage(message, transfer) or postMessage(message, { transfer })
+  function hasTransfer(options) {
+    const transfer = Array.isArray(options) ? options : options && options.transfer;
+    return !!transfer && transfer.length > 0;
+  }
+
+  function trackPort(port, peer) {
+    const onmessage = Object.getOwnPropertyDescriptor(MessagePort.prototype, 'onmessage');
+    Object.defineProperty(port, 'onmessage', {
+      get() {
+        return onmessage.get.call(port);
+      },
+      set(value) {
+        if (typeof value === 'function') listenedPorts.add(port);
+        onmessage.set.call(port, value);
+      },
+      configurable: true
+    });
+    Object.defineProperty(port, 'addEventListener', {
+      value: function addEventListener(type, ...rest) {
+        if (type === 'message') listenedPorts.add(port);
+        return nativeAddEventListener.call(port, type, ...rest);
+      },
+      configurable: true,
+      writable: true
+    });
+    Object.defineProperty(port, 'postMessage', {
+      value: function postMessage(...args) {
+        if (!taskThrottle || hasTransfer(args[1]) || !listenedPorts.has(peer)) {
+          return nativePortPost.apply(port, args);
+        }
+        heldPortMessages.push({ port, args });
+        if (portFlushId === null) {
+          portFlushId = schedule('deferred', flushPortMessages, taskThrottle.timeoutFloor, []);
+        }
+      },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  if (nativePortPost) {
+    wrapConstructor('MessageChannel', (NativeClass, args, newTarget) => {
+      const channel = Reflect.construct(NativeClass, args, newTarget);
+      trackPort(channel.port1, channel.port2);
+      trackPort(channel.port2, channel.port1);
+      return channel;
+    });
+  }
+
+  // === 3. WORKERS ===
+  // Every Worker / SharedWorker the page creates, until it is terminated or collected. Our
+  // 'message' listener is added before the page can add one, so while workers are throttled
+  // it can hold their messages back.
+  // worker -> { worker, target (the worker, or a shared worker's port), real (where messages
+  //            go - the target, or the worker restarted behind it), controlled, starting,
+  //            queueIn, queueOut }
+  const workers = weakList();
+  const workerRecords = new WeakMap();
+
+  // null while awake, or the live throttle settings while the page's workers are throttled
+  let workerThrottle = null;
+
+  const WORKER_CONTROL_KEY = '__tabPowerSaverWorkerControl';
+
+  // Runs first inside a wrapped worker: tells the page it started and stretches the worker's
+  // timers to the floors it is sent. The worker's own URL is a blob: URL, so location and
+  // the URLs handed to importScripts, fetch, Request and XMLHttpRequest are made to resolve
+  // against the real script URL (base) instead.
+  const WORKER_PRELUDE = `(${function (controlKey, base) {
+    const resolve = url => typeof url === 'string' ? new URL(url, base).href : url;
+    Object.defineProperty(self, 'location', { value: new URL(base), configurable: true });
+    const nativeImportScripts = self.importScripts.bind(self);
+    self.importScripts = (...urls) => nativeImportScripts(...urls.map(resolve));
+    if (typeof self.fetch === 'function') {
+      const nativeFetch = self.fetch.bind(self);
+      self.fetch = (input, init) => nativeFetch(resolve(input), init);
+    }
+    if (typeof self.Request === 'function') {
+      self.Request = class Request extends self.Request {
+        constructor(input, init) {
+          super(resolve(input), init);
+        }
+      };
+    }
+    if (typeof self.XMLHttpRequest === 'function') {
+      const nativeOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function open(method, url, ...rest) {
+        return nativeOpen.call(this, method, resolve(url), ...rest);
+      };
+    }
+
+    const nativeSetTimeout = self.setTimeout.bind(self);
+    const nativeSetInterval = self.setInterval.bind(self);
+    let floors = null;
+    self.setTimeout = (callback, delay, ...args) =>
+      nativeSetTimeout(callback, floors ? Math.max(Number(delay) || 0, floors.timeoutFloor) : delay, ...args);
+    self.setInterval = (callback, delay, ...args) =>
+      nativeSetInterval(callback, floors ? Math.max(Number(delay) || 0, floors.intervalFloor) : delay, ...args);
+    self.addEventListener('message', event => {
+      if (!event.data || !event.data[controlKey]) return;
+      event.stopImmediatePropagation();
+      floors = event.data[controlKey].floors;
+    });
+    self.postMessage({ [controlKey]: { started: true } });
+  }})`;
+
+  // Blob URL of the prelude followed by the real (classic) worker script
+  function preludeUrl(url) {
+    const absolute = JSON.stringify(new URL(url, document.baseURI).href);
+    const source = `${WORKER_PRELUDE}(${JSON.stringify(WORKER_CONTROL_KEY)}, ${absolute});\n` +
+      `importScripts(${absolute});\n`;
+    return URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  }
+
+  function nativePost(record, args) {
+    return Object.getPrototypeOf(record.real).postMessage.apply(record.real, args);
+  }
+
+  // start = { NativeWorker, url, options } for a worker started with the prelude: until it
+  // reports back, the page's messages wait, and a load error (a page CSP that blocks blob:
+  // workers only reports it through an 'error' event) restarts it from the real URL
+  function trackWorker(worker, target, start) {
+    const record = { worker, target, real: target, controlled: !!start, starting: !!start, queueIn: [], queueOut: [] };
+    workers.add(worker);
+    workerRecords.set(worker, record);
+
+    captureEvents(target, 'message', event => {
+      if (event.data && event.data[WORKER_CONTROL_KEY]) {
+        record.starting = false;
+        if (!workerThrottle) flushWorker(record);
+        return true;
+      }
+      if (!workerThrottle) return false;
+      record.queueOut.push(event);
+      return true;
+    });
+
+    if (start) {
+      captureEvents(target, 'error', () => record.starting && restartWorker(record, start));
+    }
+
+    Object.defineProperty(target, 'postMessage', {
+      value: function postMessage(...args) {
+        if (workerThrottle || record.starting) {
+          record.queueIn.push(args);
+          return;
+        }
+        return nativePost(record, args);
+      },
+      configurable: true,
+      writable: true
+    });
+
+    if (typeof worker.terminate === 'function') {
+      Object.defineProperty(worker, 'terminate', {
+        value: function terminate() {
+          workers.delete(worker);
+          if (record.real !== worker) record.real.terminate();
+          return Object.getPrototypeOf(worker).terminate.call(worker);
+        },
+        configurable: true,
+        writable: true
+      });
+    }
+  }
+
+  // The prelude worker failed to load: run the real script without it, behind the worker
+  // object the page already holds. false if that fails too (the page gets the error).
+  function restartWorker(record, { NativeWorker, url, options }) {
+    record.starting = false;
+    record.controlled = false;
+    let real;
+    try {
+      real = new NativeWorker(url, options);
+    } catch (e) {
+      return false;
+    }
+    record.real = real;
+    ['message', 'messageerror', 'error'].forEach(type => {
+      nativeAddEventListener.call(real, type, event => {
+        const copy = copyEvent(event);
+        record.target.dispatchEvent(copy);
+        if (copy.defaultPrevented) event.preventDefault();
+      });
+    });
+    if (!workerThrottle) flushWorker(record);
+    return true;
+  }
+
+  // Deliver everything held back, in the order it was sent
+  function flushWorker(record) {
+    if (!record.starting) record.queueIn.splice(0).forEach(args => nativePost(record, args));
+    replayEvents(record.target, record.queueOut.splice(0));
+  }
+
+  function setWorkerThrottle(values) {
+    workerThrottle = values;
+    const floors = values ? { timeoutFloor: values.timeoutFloor, intervalFloor: values.intervalFloor } : null;
+    workers.forEach(worker => {
+      const record = workerRecords.get(worker);
+      if (record.controlled) nativePost(record, [{ [WORKER_CONTROL_KEY]: { floors } }]);
+      if (!values) flushWorker(record);
+    });
+  }
+
+  // Dedicated classic workers start with WORKER_PRELUDE, which lets us stretch their own
+  // timers - on opted-in sites from page load on, as the section is installed at
+  // document_start there. Shared workers keep their own script: they serve other tabs too,
+  // so only this page's side of the conversation is held back. Module workers cannot run
+  // the prelude first (imports are evaluated before it) and only have their messages held.
+  function createWorker(NativeWorker, [url, options], newTarget, shared) {
+    let worker = null;
+    let start = null;
+    if (!shared && !(options && options.type === 'module')) {
+      try {
+        const blobUrl = preludeUrl(url);
+        worker = Reflect.construct(NativeWorker, [blobUrl, options], newTarget);
+        URL.revokeObjectURL(blobUrl);
+        start = { NativeWorker, url, options };
+      } catch (e) {
+        worker = null; // e.g. an invalid URL - the real constructor throws the page's error below
+      }
+    }
+    if (!worker) worker = Reflect.construct(NativeWorker, [url, options], newTarget);
+    trackWorker(worker, shared ? worker.port : worker, start);
+    return worker;
+  }
+
+  function installWorkers() {
+    wrapConstructor('Worker', (NativeWorker, args, newTarget) => createWorker(NativeWorker, args, newTarget, false));
+    wrapConstructor('SharedWorker', (NativeWorker, args, newTarget) => createWorker(NativeWorker, args, newTarget, true));
+  }
+
+  // === 4. NETWORK MESSAGES ===
+  // WebSocket / EventSource messages (and a WebSocket's close) are held back the same way
+  // while the site's network policy is on: 'hold' keeps them until restore, 'ratelimit'
+  // hands them over in one go every timeoutFloor (the spacing of fetch/XHR slots in
+  // throttle-script.js). A socket is dropped once it is closed and nothing it sent is
+  // still held.
+  // { target, queue, types (event types captured so far) }
+  const sockets = new Set();
+
+  // null, or { policy, settings } while the tab is throttled
+  let networkHold = null;
+  let socketFlushId = null;
+
+  function trackSocket(target) {
+    const record = { target, queue: [], types: new Set() };
+    sockets.add(record);
+
+    const capture = type => {
+      if (record.types.has(type)) return;
+      record.types.add(type);
+      captureEvents(target, type, event => {
+        if (!networkHold) return false;
+        record.queue.push(event);
+        stats.bufferedMessages++;
+        if (networkHold.policy === 'ratelimit' && socketFlushId === null) {
+          socketFlushId = schedule('deferred', flushSockets, networkHold.settings.timeoutFloor, []);
+        }
+        return true;
+      });
+    };
+    capture('message');
+    if (typeof WebSocket === 'function' && target instanceof WebSocket) capture('close');
+
+    // runs after the capture listeners, so a close held back above keeps the record
+    const forget = () => {
+      if (target.readyState === target.CLOSED && !record.queue.length) sockets.delete(record);
+    };
+    nativeAddEventListener.call(target, 'close', forget);
+    nativeAddEventListener.call(target, 'error', forget);
+    // an EventSource closed by the page fires nothing
+    if (typeof EventSource === 'function' && target instanceof EventSource) {
+      Object.defineProperty(target, 'close', {
+        value: function close() {
+          const result = EventSource.prototype.close.call(target);
+          forget();
+          return result;
+        },
+        configurable: true,
+        writable: true
+      });
+    }
+
+    // EventSource named events ("event: update") are captured once the page listens for them
+    Object.defineProperty(target, 'addEventListener', {
+      value: function addEventListener(type, ...rest) {
+        if (type !== 'open' && type !== 'error') capture(type);
+        return nativeAddEventListener.call(target, type, ...rest);
+      },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  function flushSockets() {
+    if (socketFlushId !== null) cancel(socketFlushId);
+    socketFlushId = null;
+    sockets.forEach(record => {
+      replayEvents(record.target, record.queue.splice(0));
+      if (record.target.readyState === record.target.CLOSED) sockets.delete(record);
+    });
+  }
+
+  function setNetworkHold(policy, settings) {
+    networkHold = policy && policy !== 'off' ? { policy, settings } : null;
+    if (!networkHold) flushSockets();
+  }
+
+  function installNetwork() {
+    ['WebSocket', 'EventSource'].forEach(name => {
+      wrapConstructor(name, (NativeClass, args, newTarget) => {
+        const socket = Reflect.construct(NativeClass, args, newTarget);
+        trackSocket(socket);
+        return socket;
+      });
+    });
+  }
+
+  // === 5. AUDIO ===
+  // Every AudioContext the page creates, until it is closed or collected. audioHook (set
+  // while media is throttled) sees each new context and every state change.
+  const audioContexts = weakList();
+  let audioHook = null;
+
+  function installAudio() {
+    wrapConstructor('AudioContext', (NativeClass, args, newTarget) => {
+      const context = Reflect.construct(NativeClass, args, newTarget);
+      audioContexts.add(context);
+      nativeAddEventListener.call(context, 'statechange', () => {
+        if (context.state === 'closed') audioContexts.delete(context);
+        else if (audioHook) audioHook(context);
+      });
+      if (audioHook) audioHook(context);
+      return context;
+    });
+  }
+
+  // === 6. OBSERVERS ===
+  // The observer prototypes are read-only, but the constructors can be wrapped. While
+  // throttled, records are collected per observer and delivered in one batch every
+  // observerInterval; a flush hands over the rest at once.
+  // observer -> { callback, records, deliveries } in the order the observers first got records
+  const pendingObservers = new Map();
+
+  // null while awake, or the live throttle settings ({ observerInterval }) while throttled
+  let observerThrottle = null;
+  let observerFlushId = null;
+
+  function flushObservers() {
+    if (observerFlushId !== null) cancel(observerFlushId);
+    observerFlushId = null;
+    const batch = Array.from(pendingObservers);
+    pendingObservers.clear();
+    batch.forEach(([observer, { callback, records, deliveries }]) => {
+      stats.observerBatches++;
+      stats.wakeupsAvoided += deliveries - 1;
+      runReported(() => callback.call(observer, records, observer));
+    });
+  }
+
+  function setObserverThrottle(values) {
+    observerThrottle = values;
+    if (!values) flushObservers();
+  }
+
+  function installObservers() {
+    ['MutationObserver', 'ResizeObserver', 'IntersectionObserver'].forEach(name => {
+      wrapConstructor(name, (NativeClass, [callback, ...rest], newTarget) => {
+        // a missing callback throws like the original
+        if (typeof callback !== 'function') return Reflect.construct(NativeClass, [callback, ...rest], newTarget);
+
+        const observer = Reflect.construct(NativeClass, [records => {
+          if (!observerThrottle) {
+            callback.call(observer, records, observer);
+            return;
+          }
+          const pending = pendingObservers.get(observer) || { callback, records: [], deliveries: 0 };
+          pending.records.push(...records);
+          pending.deliveries++;
+          pendingObservers.set(observer, pending);
+          if (observerFlushId === null) {
+            observerFlushId = schedule('deferred', flushObservers, observerThrottle.observerInterval, []);
+          }
+        }, ...rest], newTarget);
+
+        // disconnect() drops the records still waiting, takeRecords() includes them
+        Object.defineProperty(observer, 'disconnect', {
+          value: function disconnect() {
+            pendingObservers.delete(observer);
+            return NativeClass.prototype.disconnect.call(observer);
+          },
+          configurable: true,
+          writable: true
+        });
+        if (typeof NativeClass.prototype.takeRecords === 'function') {
+          Object.defineProperty(observer, 'takeRecords', {
+            value: function takeRecords() {
+              const pending = pendingObservers.get(observer);
+              pendingObservers.delete(observer);
+              const records = NativeClass.prototype.takeRecords.call(observer);
+              return pending ? pending.records.concat(records) : records;
+            },
+            configurable: true,
+            writable: true
+          });
+        }
+        return observer;
+      });
+    });
+  }
+
+  // === 7. PROTECTIONS ===
+  // Work a sleeping tab would break: live calls, camera / microphone / screen capture,
+  // uploads in flight, text typed into the focused field and leave-page warnings.
+  // background.js asks for them right before it throttles and leaves such tabs awake.
+  // Connections and streams are held weakly - one the page dropped cannot be live any more.
+  const peerConnections = weakList();
+  const captureStreams = weakList();
+  const beforeUnloadListeners = new Set();
+  // fields the page's user typed into since the last submit
+  const dirtyFields = new WeakSet();
+  // true once the user typed anywhere on the page since the last submit
+  let typedSinceSubmit = false;
+  let pendingUploads = 0;
+
+  // connection states that mean a call is set up or still going
+  const LIVE_CONNECTION_STATES = ['connecting', 'checking', 'connected', 'completed', 'disconnected'];
+
+  wrapConstructor('RTCPeerConnection', (NativeClass, args, newTarget) => {
+    const connection = Reflect.construct(NativeClass, args, newTarget);
+    peerConnections.add(connection);
+    return connection;
+  });
+
+  if (typeof MediaDevices === 'function') {
+    ['getUserMedia', 'getDisplayMedia'].forEach(name => {
+      const nativeMethod = MediaDevices.prototype[name];
+      if (typeof nativeMethod !== 'function') return;
+      Object.defineProperty(MediaDevices.prototype, name, {
+        value: function (...args) {
+          return nativeMethod.apply(this, args).then(stream => {
+            captureStreams.add(stream);
+            return stream;
+          });
+        },
+        configurable: true,
+        writable: true
+      });
+    });
+  }
+
+  // Bodies that carry files or raw data - small string / URL-encoded posts are not uploads
+  function isUploadBody(body) {
+    return body instanceof Blob || body instanceof FormData || body instanceof ArrayBuffer ||
+      ArrayBuffer.isView(body) || (typeof ReadableStream === 'function' && body instanceof ReadableStream);
+  }
+
+  // Only bodies passed in init are seen; a Request built with a body goes unnoticed
+  const nativeFetch = window.fetch;
+  if (typeof nativeFetch === 'function') {
+    Object.defineProperty(window, 'fetch', {
+      value: function fetch(input, init) {
+        const promise = nativeFetch.call(window, input, init);
+        if (init && isUploadBody(init.body)) {
+          pendingUploads++;
+          const done = () => { pendingUploads--; };
+          promise.then(done, done);
+        }
+        return promise;
+      },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  if (typeof XMLHttpRequest === 'function') {
+    const nativeSend = XMLHttpRequest.prototype.send;
+    Object.defineProperty(XMLHttpRequest.prototype, 'send', {
+      value: function send(body) {
+        const result = nativeSend.apply(this, arguments);
+        // a synchronous request is already done here
+        if (isUploadBody(body) && this.readyState !== XMLHttpRequest.DONE) {
+          pendingUploads++;
+          nativeAddEventListener.call(this, 'loadend', () => { pendingUploads--; }, { once: true });
+        }
+        return result;
+      },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  const nativeRemoveEventListener = EventTarget.prototype.removeEventListener;
+  Object.defineProperty(window, 'addEventListener', {
+    value: function addEventListener(type, listener, ...rest) {
+      if (type === 'beforeunload' && listener) beforeUnloadListeners.add(listener);
+      return nativeAddEventListener.call(this, type, listener, ...rest);
+    },
+    configurable: true,
+    writable: true
+  });
+  Object.defineProperty(window, 'removeEventListener', {
+    value: function removeEventListener(type, listener, ...rest) {
+      if (type === 'beforeunload') beforeUnloadListeners.delete(listener);
+      return nativeRemoveEventListener.call(this, type, listener, ...rest);
+    },
+    configurable: true,
+    writable: true
+  });
+
+  // Only real user input counts - values set by page scripts never make a field dirty
+  nativeAddEventListener.call(window, 'input', event => {
+    if (!event.isTrusted) return;
+    dirtyFields.add(event.target);
+    typedSinceSubmit = true;
+  }, true);
+  nativeAddEventListener.call(window, 'submit', event => {
+    Array.from(event.target.elements || []).forEach(field => dirtyFields.delete(field));
+    typedSinceSubmit = false;
+  }, true);
+
+  // The focused field holds text the user typed and has not submitted
+  function hasDirtyFocusedField() {
+    const field = document.activeElement;
+    return !!field && dirtyFields.has(field);
+  }
+
+  // Reasons this page must not be throttled right now, empty if there are none
+  function getProtections() {
+    const reasons = [];
+    peerConnections.forEach(connection => {
+      if (connection.signalingState === 'closed') peerConnections.delete(connection);
+    });
+    if (peerConnections.toArray().some(connection =>
+      LIVE_CONNECTION_STATES.includes(connection.connectionState || connection.iceConnectionState))) {
+      reasons.push('Call in progress');
+    }
+    captureStreams.forEach(stream => {
+      if (!stream.getTracks().some(track => track.readyState === 'live')) captureStreams.delete(stream);
+    });
+    if (captureStreams.toArray().length) reasons.push('Using camera, microphone or screen');
+    if (pendingUploads > 0) reasons.push('Upload in progress');
+    if (hasDirtyFocusedField()) reasons.push('Unsaved text in the focused field');
+    // Whether a beforeunload handler would really stop the unload is only known once it
+    // runs, and many sites register one on every page - so it only counts after the user
+    // typed something
+    if (typedSinceSubmit && (beforeUnloadListeners.size || typeof window.onbeforeunload === 'function')) {
+      reasons.push('Page asks before leaving');
+    }
+    return reasons;
+  }
+
+  // Sections that wrap page APIs, installed on demand: name -> installer
+  const sections = {
+    workers: installWorkers,
+    network: installNetwork,
+    audio: installAudio,
+    observers: installObservers
+  };
+  const installedSections = new Set();
+
+  // Install the sections switched on in wanted ({ workers, network, audio, observers })
+  // that are not in place yet - none of them can be taken out again
+  function enable(wanted) {
+    Object.keys(sections).forEach(name => {
+      if (!wanted || !wanted[name] || installedSections.has(name)) return;
+      installedSections.add(name);
+      sections[name]();
+    });
+  }
+
+  enable(requested);
+
+  // Frozen and locked in place, so page scripts can neither replace the registry nor its methods
+  Object.defineProperty(window, '__tabPowerSaverRegistry', {
+    value: Object.freeze({
+      // untouched browser timers and MutationObserver for our own scripts
+      native: Object.freeze(nativeApis),
+
+      // Wrap the page APIs more features need (see enable() above)
+      enable,
+
+      // Slow every pending and future timer down to the given floors (null = original timing)
+      setStretch(values) {
+        stretch = values;
+        retimeAll();
+      },
+
+      // Batch stretched timers and deferred callbacks into shared wake-up windows
+      // (live settings with wakeWindow / wakePhase, or null to stop)
+      setWakeWindow(values) {
+        wake = values;
+        retimeAll();
+      },
+
+      // Run a callback of our own after delay ms, batched while wake-ups are coalesced
+      defer(callback, delay) {
+        return schedule('deferred', callback, delay, []);
+      },
+
+      cancel,
+
+      // Hold worker messages back and stretch worker timers (null = flush and stop)
+      setWorkerThrottle,
+
+      // Buffer WebSocket / EventSource messages under a network policy
+      // ('off', 'ratelimit' or 'hold' - anything but the last two flushes them)
+      setNetworkHold,
+
+      // Batch observer records every observerInterval (null = deliver the rest and stop)
+      setObserverThrottle,
+
+      // Hold self-posted MessageChannel messages every timeoutFloor (null = deliver them and stop)
+      setTaskThrottle,
+
+      // Open AudioContexts, oldest first
+      getAudioContexts() {
+        return audioContexts.toArray();
+      },
+
+      // Call hook(context) for new AudioContexts and their state changes (null = stop)
+      setAudioHook(hook) {
+        audioHook = hook;
+      },
+
+      // Add to one of the stats counters (heldRequests, framesDeferred, canvasSkipped, ...)
+      count(key, amount) {
+        stats[key] += amount === undefined ? 1 : amount;
+      },
+
+      // { pendingTimers, batched, wakeups, heldRequests, bufferedMessages, workers, queuedMessages }
+      getStats() {
+        let queuedMessages = 0;
+        const live = workers.toArray();
+        live.forEach(worker => {
+          const record = workerRecords.get(worker);
+          queuedMessages += record.queueIn.length + record.queueOut.length;
+        });
+        return Object.assign({ pendingTimers: timers.size }, stats, { workers: live.length, queuedMessages });
+      },
+
+      // What the stats counters added up to since the previous report
+      takeReport() {
+        const report = {};
+        Object.keys(stats).forEach(key => {
+          report[key] = stats[key] - (reported[key] || 0);
+          reported[key] = stats[key];
+        });
+        return report;
+      },
+
+      // Calls, capture, uploads, typed text or leave-page warnings that keep the tab awake
+      getProtections,
+
+      // true if page scripts really go through the registry
+      ownsTimers() {
+        return window.setTimeout === registeredSetTimeout && window.setInterval === registeredSetInterval;
+      }
+    }),
+    configurable: false,
+    writable: false
+  });
+})();
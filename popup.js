@@ -3,14 +3,50 @@ const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 
 document.addEventListener('DOMContentLoaded', () => {
   const statusEl   = document.getElementById('status');
+  const statusDetail = document.getElementById('statusDetail');
+  const modeSelect = document.getElementById('modeSelect');
   const toggleBtn  = document.getElementById('toggleBtn');
   const optionsBtn = document.getElementById('optionsBtn');
   const whitelistBtn = document.getElementById('whitelistBtn'); // NEW
+  const statsBtn = document.getElementById('statsBtn');
+  const keepAwakeStatus = document.getElementById('keepAwakeStatus');
+  const keepAwakeCancelBtn = document.getElementById('keepAwakeCancelBtn');
+  const tabSummary = document.getElementById('tabSummary');
+  const tabList = document.getElementById('tabList');
+  const wakeupInfo = document.getElementById('wakeupInfo');
+  const traceList = document.getElementById('traceList');
+
+  // Automatic mode needs the battery, which Firefox does not let us read
+  if (!isBatteryApiAvailable()) modeSelect.querySelector('option[value="battery"]').remove();
 
   // Load current state
-  browserApi.storage.local.get('powerSavingEnabled', (data) => {
+  browserApi.storage.local.get(['powerSavingEnabled', 'powerMode'], (data) => {
     const enabled = data.powerSavingEnabled || false;
     updateUI(enabled);
+    modeSelect.value = data.powerMode || 'manual';
+    if (!modeSelect.value) modeSelect.value = 'manual';
+    loadPowerState();
+  });
+
+  // Which mode is active and why (from the background page)
+  function loadPowerState() {
+    browserApi.runtime.sendMessage({ type: 'get_power_state' })
+      .then(updatePowerState)
+      .catch(() => {});
+  }
+
+  function updatePowerState(state) {
+    if (!state) return;
+    updateUI(state.enabled);
+    statusDetail.textContent = state.reason;
+  }
+
+  // Manual <-> automatic (battery) mode
+  modeSelect.addEventListener('change', () => {
+    browserApi.storage.local.set({ powerMode: modeSelect.value }, () => {
+      // give the background page a moment to read the battery
+      setTimeout(loadPowerState, 300);
+    });
   });
 
   // Update UI based on state
@@ -34,7 +70,7 @@ document.addEventListener('DOMContentLoaded', () => {
         browserApi.runtime.sendMessage({ 
           type: 'power_saving_toggle', 
           enabled: newState 
-        }).catch(() => {
+        }).then(updatePowerState).catch(() => {
           // Safe to ignore - background will catch up via storage change
         });
       });
@@ -46,9 +82,155 @@ document.addEventListener('DOMContentLoaded', () => {
     browserApi.runtime.openOptionsPage();
   });
 
+  // Keep-awake exemption for the current tab
+  browserApi.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs[0];
+    if (!tab) return;
+
+    browserApi.runtime.sendMessage({ type: 'get_keep_awake', tabId: tab.id })
+      .then(updateKeepAwake)
+      .catch(() => {});
+
+    browserApi.runtime.sendMessage({ type: 'explain_tab', tabId: tab.id })
+      .then(renderTrace)
+      .catch(() => {});
+
+    document.querySelectorAll('.keep-awake').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const minutes = btn.dataset.minutes ? Number(btn.dataset.minutes) : null;
+        browserApi.runtime.sendMessage({ type: 'keep_awake', tabId: tab.id, minutes })
+          .then(response => updateKeepAwake({ active: !response.error, until: response.until }))
+          .catch(() => {});
+      });
+    });
+
+    keepAwakeCancelBtn.addEventListener('click', () => {
+      browserApi.runtime.sendMessage({ type: 'clear_keep_awake', tabId: tab.id })
+        .then(() => updateKeepAwake({ active: false }))
+        .catch(() => {});
+    });
+  });
+
+  // Decision trace of the current tab: ✅ lets it sleep, ⛔ keeps it awake, ℹ️ is information
+  function renderTrace(trace) {
+    traceList.innerHTML = '';
+    if (!trace || trace.error) return;
+    trace.steps.forEach(step => {
+      const row = document.createElement('div');
+      row.className = 'trace-step';
+      const icon = step.ok === null ? 'ℹ️' : step.ok ? '✅' : '⛔';
+      const check = document.createElement('b');
+      check.textContent = step.check;
+      row.appendChild(document.createTextNode(icon + ' '));
+      row.appendChild(check);
+      row.appendChild(document.createTextNode(': ' + step.detail));
+      traceList.appendChild(row);
+    });
+  }
+
+  function updateKeepAwake(state) {
+    if (!state || !state.active) {
+      keepAwakeStatus.textContent = '';
+      keepAwakeCancelBtn.hidden = true;
+      return;
+    }
+    keepAwakeStatus.textContent = state.until
+      ? `Awake until ${new Date(state.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : 'Awake until this tab is closed';
+    keepAwakeCancelBtn.hidden = false;
+  }
+
+  // Tab dashboard - every tab with its throttle state and quick actions
+  function loadStatus() {
+    browserApi.runtime.sendMessage({ type: 'get_status' })
+      .then(renderTabs)
+      .catch(() => {
+        tabSummary.textContent = 'Tabs (status unavailable)';
+      });
+  }
+
+  function renderTabs(status) {
+    tabSummary.textContent = `Tabs - ${status.throttledCount} asleep` +
+      (status.discardedCount ? `, ${status.discardedCount} discarded` : '');
+    tabList.innerHTML = '';
+    wakeupInfo.textContent = `BATBASH's own wakeups: ${status.wakeups.total} (${status.wakeups.perHour}/h)`;
+
+    // sleeping tabs first, then discarded ones, then the rest in tab order
+    const rank = tab => tab.state === 'throttled' ? 2 : tab.state === 'discarded' ? 1 : 0;
+    const tabs = status.tabs.slice().sort((a, b) => rank(b) - rank(a));
+    tabs.forEach(tab => {
+      const item = document.createElement('div');
+      item.className = `tab-item ${tab.state}`;
+
+      const title = document.createElement('div');
+      title.className = 'tab-title';
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+
+      const meta = document.createElement('div');
+      meta.className = 'tab-meta';
+      const since = tab.throttledAt
+        ? ` since ${new Date(tab.throttledAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+      // the title changed during a heartbeat wake-up - likely new messages
+      const activity = tab.activity
+        ? `🔔 new activity at ${new Date(tab.activity.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+      meta.textContent = [tab.domain, tab.reason + since, activity].filter(Boolean).join(' · ');
+
+      const actions = document.createElement('div');
+      actions.className = 'tab-actions';
+      if (tab.state === 'throttled') {
+        actions.appendChild(actionButton('Wake now', { type: 'wake_tab', tabId: tab.id }));
+      } else if (!tab.active && (tab.state === 'awake' || tab.state === 'pending' || tab.protections)) {
+        actions.appendChild(actionButton('Sleep now', { type: 'sleep_tab', tabId: tab.id }));
+      }
+      if (tab.domain && tab.level !== 'exempt' && /^https?:/.test(tab.url)) {
+        actions.appendChild(actionButton('Never throttle this site', { type: 'exempt_site', tabId: tab.id }));
+      }
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      if (actions.childNodes.length) item.appendChild(actions);
+      tabList.appendChild(item);
+
+      if (tab.state === 'throttled') loadWakeStats(tab.id, meta);
+    });
+  }
+
+  // Wake-up coalescing and network counters of a sleeping tab, appended to its meta line
+  function loadWakeStats(tabId, meta) {
+    browserApi.runtime.sendMessage({ type: 'get_wake_stats', tabId })
+      .then(stats => {
+        if (!stats || stats.error) return;
+        if (stats.wakeups) meta.textContent += ` · ${stats.batched} callbacks in ${stats.wakeups} wake-ups`;
+        if (stats.heldRequests) meta.textContent += ` · ${stats.heldRequests} requests held`;
+      })
+      .catch(() => {});
+  }
+
+  function actionButton(label, message) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      browserApi.runtime.sendMessage(message)
+        .then(() => setTimeout(loadStatus, 300)) // give inject/restore a moment
+        .catch(() => {});
+    });
+    return btn;
+  }
+
+  loadStatus();
+
   // Whitelist manager button
   whitelistBtn.addEventListener('click', () => {
     browserApi.tabs.create({url: browserApi.runtime.getURL('whitelist.html')});
     window.close(); // close popup
   });
+
+  // Savings stats page
+  statsBtn.addEventListener('click', () => {
+    browserApi.tabs.create({url: browserApi.runtime.getURL('stats.html')});
+    window.close();
+  });
 });
@@ -0,0 +1,45 @@
+// Throttle profiles - shared by the background page and the options page
+
+// Seconds a tab must sit in the background before it is throttled
+const DEFAULT_GRACE_SECONDS = 5;
+
+// Editable values of a profile (all in milliseconds)
+const PROFILE_FIELDS = [
+  { key: 'timeoutFloor',     label: 'Minimum setTimeout delay' },
+  { key: 'intervalFloor',    label: 'Minimum setInterval delay' },
+  { key: 'frameInterval',    label: 'Time between animation frames' },
+  { key: 'canvasInterval',   label: 'Time between canvas renders' },
+  { key: 'observerInterval', label: 'Time between observer callbacks' },
+  { key: 'wakeWindow',       label: 'Shared wake-up window (0 = off)' }
+];
+
+// Built-in profiles - "deep" matches the original hard-coded delays and also batches
+// every wake-up of a sleeping tab into one 30 s window
+const DEFAULT_PROFILES = {
+  light:    { label: 'Light',    timeoutFloor: 1000,  intervalFloor: 5000,  frameInterval: 250,  canvasInterval: 1000, observerInterval: 1000, wakeWindow: 0 },
+  balanced: { label: 'Balanced', timeoutFloor: 5000,  intervalFloor: 15000, frameInterval: 1000, canvasInterval: 2500, observerInterval: 2500, wakeWindow: 0 },
+  deep:     { label: 'Deep',     timeoutFloor: 10000, intervalFloor: 30000, frameInterval: 2000, canvasInterval: 5000, observerInterval: 5000, wakeWindow: 30000 },
+  custom:   { label: 'Custom',   timeoutFloor: 10000, intervalFloor: 30000, frameInterval: 2000, canvasInterval: 5000, observerInterval: 5000, wakeWindow: 30000 }
+};
+
+const DEFAULT_PROFILE = 'deep';
+
+// Merge stored edits over the built-in profiles
+function mergeProfiles(stored) {
+  const profiles = {};
+  Object.keys(DEFAULT_PROFILES).forEach(name => {
+    profiles[name] = Object.assign({}, DEFAULT_PROFILES[name], stored && stored[name]);
+  });
+  return profiles;
+}
+
+// Return the throttle values of a profile, falling back to the default one
+function getProfileValues(profiles, name) {
+  const profile = profiles[name] || profiles[DEFAULT_PROFILE];
+  const values = {};
+  PROFILE_FIELDS.forEach(({ key }) => {
+    const value = Number(profile[key]);
+    values[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_PROFILES[DEFAULT_PROFILE][key];
+  });
+  return values;
+}
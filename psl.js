@@ -0,0 +1,52 @@
+// Public Suffix List matcher - shared by the background page and the whitelist manager
+// Works fully offline on the bundled rules in psl-data.js
+
+const PSL_RULES = new Set();          // "co.uk"
+const PSL_WILDCARDS = new Set();      // "*.ck"  -> "ck"
+const PSL_EXCEPTIONS = new Set();     // "!www.ck" -> "www.ck"
+
+PUBLIC_SUFFIX_RULES.forEach(rule => {
+  if (rule.startsWith('!')) PSL_EXCEPTIONS.add(rule.slice(1));
+  else if (rule.startsWith('*.')) PSL_WILDCARDS.add(rule.slice(2));
+  else PSL_RULES.add(rule);
+});
+
+// IP addresses and single-label hosts (localhost) have no public suffix
+function isPlainHost(host) {
+  return !host.includes('.') || host.startsWith('[') || /^\d+(\.\d+){3}$/.test(host);
+}
+
+// public suffix of a hostname - longest matching rule, exceptions win, "*" is the default rule
+function getPublicSuffix(host) {
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+    if (PSL_EXCEPTIONS.has(candidate)) return parent;
+    if (PSL_RULES.has(candidate)) return candidate;
+    if (parent && PSL_WILDCARDS.has(parent)) return candidate;
+  }
+  return labels[labels.length - 1];
+}
+
+// true if the hostname is itself a public suffix (co.uk, github.io, ...)
+function isPublicSuffix(host) {
+  return !isPlainHost(host) && getPublicSuffix(host) === host;
+}
+
+// normalised hostname of a URL ('' if it has none)
+function getHost(url) {
+  try {
+    return new URL(url).hostname.replace(/\.$/, '');
+  } catch (_) { return ''; }
+}
+
+// return the registrable domain (eTLD+1); public suffixes and IPs are returned as-is
+function getDomain(url) {
+  const host = getHost(url);
+  if (!host || isPlainHost(host)) return host;
+  const suffix = getPublicSuffix(host);
+  if (suffix === host) return host;
+  const labels = host.slice(0, -suffix.length - 1).split('.');
+  return labels[labels.length - 1] + '.' + suffix;
+}
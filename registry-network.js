@@ -0,0 +1,2 @@
+// Registered in front of page-registry.js for sites that need its WebSocket / EventSource section
+(window.__tabPowerSaverRegistryFeatures = window.__tabPowerSaverRegistryFeatures || {}).network = true;
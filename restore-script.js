@@ -8,28 +8,88 @@
 
   console.log("Restoring tab from aggressive throttled state...");
   
+  // Only undo what the site's throttle level switched on
+  const features = window.__tabPowerSaverFeatures || {
+    timers: true,
+    animationFrames: true,
+    canvas: true,
+    media: true,
+    css: true,
+    observers: true,
+    workers: true,
+    network: 'hold'
+  };
+
   // === 1. RESTORE JAVASCRIPT TIMING FUNCTIONS ===
+  // Every pending timer is re-created with its original delay (the page keeps its timer ids)
+  // and wake-ups are no longer batched
+  if (window.__tabPowerSaverRegistry) {
+    if (features.timers) {
+      window.__tabPowerSaverRegistry.setStretch(null);
+      window.__tabPowerSaverRegistry.setTaskThrottle(null); // held channel messages, in order
+    }
+    window.__tabPowerSaverRegistry.setWakeWindow(null);
+  }
+
   if (window.__tabPowerSaverOriginals) {
-    Object.defineProperty(window, 'setTimeout', {
-      value: window.__tabPowerSaverOriginals.setTimeout,
-      configurable: true,
-      writable: true
-    });
-  
-    Object.defineProperty(window, 'setInterval', {
-      value: window.__tabPowerSaverOriginals.setInterval,
-      configurable: true,
-      writable: true
-    });
-  
-    Object.defineProperty(window, 'requestAnimationFrame', {
-      value: window.__tabPowerSaverOriginals.requestAnimationFrame,
-      configurable: true,
-      writable: true
-    });
+    const originals = window.__tabPowerSaverOriginals;
+
+    // Put the task scheduling functions back exactly as they were, then run what was held back
+    if (features.timers) {
+      if (originals.requestIdleCallback) {
+        Object.defineProperty(window, 'requestIdleCallback', {
+          value: originals.requestIdleCallback,
+          configurable: true,
+          writable: true
+        });
+        Object.defineProperty(window, 'cancelIdleCallback', {
+          value: originals.cancelIdleCallback,
+          configurable: true,
+          writable: true
+        });
+      }
+      if (originals.schedulerPostTask) {
+        delete window.scheduler.postTask; // the prototype's method shows through again
+      }
+      if (originals.queueMicrotask) {
+        Object.defineProperty(window, 'queueMicrotask', {
+          value: originals.queueMicrotask,
+          configurable: true,
+          writable: true
+        });
+      }
+    }
+
+    if (window.__tabPowerSaverDeferredTasks) {
+      const registry = window.__tabPowerSaverRegistry;
+      window.__tabPowerSaverDeferredTasks.forEach((run, id) => {
+        registry.cancel(id);
+        try {
+          run();
+        } catch (e) {
+          console.debug("[RESTORE] Deferred task failed:", e);
+        }
+      });
+      window.__tabPowerSaverDeferredTasks.clear();
+      delete window.__tabPowerSaverDeferredTasks;
+    }
+
+    // Clear idle callback ID mapping
+    if (window.__tabPowerSaverIdleIdMap) {
+      window.__tabPowerSaverIdleIdMap.clear();
+      delete window.__tabPowerSaverIdleIdMap;
+    }
+
+    if (features.animationFrames) {
+      Object.defineProperty(window, 'requestAnimationFrame', {
+        value: window.__tabPowerSaverOriginals.requestAnimationFrame,
+        configurable: true,
+        writable: true
+      });
+    }
   
     // Restore cancelAnimationFrame
-    if (window.__tabPowerSaverOriginals.cancelAnimationFrame) {
+    if (features.animationFrames && window.__tabPowerSaverOriginals.cancelAnimationFrame) {
       Object.defineProperty(window, 'cancelAnimationFrame', {
         value: window.__tabPowerSaverOriginals.cancelAnimationFrame,
         configurable: true,
@@ -49,73 +109,18 @@
   }
   
   // === 2. RESTORE CANVAS & WEBGL FUNCTIONALITY ===
-  if (window.__tabPowerSaverOriginalCanvasGetContext) {
-    try {
-      // First, restore existing canvas contexts BEFORE changing the prototype
-      // (because once we restore the prototype, we lose access to the throttled flag)
-      const canvases = document.querySelectorAll('canvas');
-      canvases.forEach(canvas => {
-        try {
-          // Try to get existing context without creating a new one
-          // Use the throttled getContext which will return existing contexts with the flag
-          const existingContext = canvas.getContext && canvas.getContext('2d', { willReadFrequently: true });
-          if (existingContext && existingContext.__tabPowerSaverThrottled) {
-            // Restore all overridden methods
-            if (existingContext.__originalFillRect) {
-              existingContext.fillRect = existingContext.__originalFillRect;
-              delete existingContext.__originalFillRect;
-            }
-            if (existingContext.__originalDrawImage) {
-              existingContext.drawImage = existingContext.__originalDrawImage;
-              delete existingContext.__originalDrawImage;
-            }
-            if (existingContext.__originalStroke) {
-              existingContext.stroke = existingContext.__originalStroke;
-              delete existingContext.__originalStroke;
-            }
-            if (existingContext.__originalFill) {
-              existingContext.fill = existingContext.__originalFill;
-              delete existingContext.__originalFill;
-            }
-    
-            // Clean up throttle marker
-            delete existingContext.__tabPowerSaverThrottled;
-          }
-        } catch (e) {
-          console.debug("Could not restore individual canvas context:", e);
-        }
-      });
-
-      // Now restore canvas getContext method on prototype for future contexts
-      // Use Object.defineProperty to avoid "read-only" errors
+  // Put the original draw methods back on the context prototypes
+  if (window.__tabPowerSaverCanvasOriginals) {
+    window.__tabPowerSaverCanvasOriginals.forEach(({ proto, name, descriptor }) => {
       try {
-        Object.defineProperty(HTMLCanvasElement.prototype, 'getContext', {
-          value: window.__tabPowerSaverOriginalCanvasGetContext,
-          configurable: true,
-          writable: true
-        });
+        Object.defineProperty(proto, name, descriptor);
       } catch (e) {
-        // If Object.defineProperty fails, try direct assignment as fallback
-        try {
-          HTMLCanvasElement.prototype.getContext = window.__tabPowerSaverOriginalCanvasGetContext;
-        } catch (e2) {
-          console.warn("Could not restore HTMLCanvasElement.prototype.getContext:", e2.message);
-        }
+        console.warn(`Could not restore ${name}:`, e.message);
       }
-    
-      // Clear the render time tracking WeakMap
-      if (window.__tabPowerSaverCanvasRenderMap) {
-        delete window.__tabPowerSaverCanvasRenderMap;
-      }
-      
-      // Clean up the stored original
-      delete window.__tabPowerSaverOriginalCanvasGetContext;
-    
-      console.log("✓ Canvas rendering functionality restored");
-    } catch (e) {
-      console.warn("Warning: Could not fully restore canvas methods:", e.message);
-    }
-  } else {
+    });
+    delete window.__tabPowerSaverCanvasOriginals;
+    console.log("✓ Canvas rendering functionality restored");
+  } else if (features.canvas) {
     console.warn("Warning: Original canvas methods not found for restoration");
   }
   
@@ -156,24 +161,49 @@
         });
       }
   
-      // Restore original autoplay state (default to true if not stored)
+      // Restore original autoplay state (left alone if it was not stored)
       element.removeAttribute('data-was-playing');
-      element.autoplay = originalAutoplay !== undefined ? originalAutoplay : true;
+      if (typeof originalAutoplay === 'boolean') element.autoplay = originalAutoplay;
     });
   
     delete window.__tabPowerSaverMediaState;
     console.log("✓ Media playback restored");
-  } else {
+  } else if (features.media) {
     console.warn("Warning: Media state not found for restoration");
   }
+
+  // Resume only the AudioContexts we suspended (and that the page has not closed since)
+  if (window.__tabPowerSaverSuspendedAudio) {
+    if (window.__tabPowerSaverRegistry) window.__tabPowerSaverRegistry.setAudioHook(null);
+    window.__tabPowerSaverSuspendedAudio.forEach(context => {
+      if (context.state === 'suspended') {
+        context.resume().catch(e => console.debug("[RESTORE] Could not resume AudioContext:", e));
+      }
+    });
+    delete window.__tabPowerSaverSuspendedAudio;
+  }
+
+  // Media session back to playing - unless the page changed it meanwhile
+  if (window.__tabPowerSaverMediaSession) {
+    if (navigator.mediaSession && navigator.mediaSession.playbackState === 'paused') {
+      navigator.mediaSession.playbackState = window.__tabPowerSaverMediaSession;
+    }
+    delete window.__tabPowerSaverMediaSession;
+  }
   
   // === 4. RESTORE LAYOUT FUNCTIONALITY ===
-  // NOTE: ResizeObserver and IntersectionObserver are read-only in modern browsers
-  // We no longer throttle them, so no restoration needed (KISS principle)
+  // Deliver the observer records still waiting right away, so the page catches up at once
+  if (features.observers && window.__tabPowerSaverRegistry) {
+    window.__tabPowerSaverRegistry.setObserverThrottle(null);
+    console.log("✓ Observer callbacks delivered");
+  }
   
   // === 5. RESTORE WEB WORKER FUNCTIONALITY ===
-  // NOTE: Worker throttling was removed for better reliability (KISS principle)
-  // No restoration needed
+  // Held-back messages are delivered in order, then worker timers run at their own pace again
+  if (features.workers && window.__tabPowerSaverRegistry) {
+    window.__tabPowerSaverRegistry.setWorkerThrottle(null);
+    console.log("✓ Web worker messages flushed");
+  }
   
   // === 6. RESTORE CSS ANIMATIONS ===
   if (window.__tabPowerSaverStyleElement) {
@@ -184,11 +214,77 @@
     delete window.__tabPowerSaverStyleElement;
     console.log("✓ CSS animations restored");
   }
+
+  // Resume exactly the animations we paused - unless the page has since cancelled or finished them
+  if (window.__tabPowerSaverTransitionListeners) {
+    const { roots, transitionListener, frameListener } = window.__tabPowerSaverTransitionListeners;
+    roots.forEach(root => {
+      root.removeEventListener('transitionrun', transitionListener, true);
+      root.removeEventListener('load', frameListener, true);
+    });
+    delete window.__tabPowerSaverTransitionListeners;
+  }
+  if (window.__tabPowerSaverOriginals) {
+    ['animate', 'attachShadow'].forEach(name => {
+      if (!window.__tabPowerSaverOriginals[name]) return;
+      Object.defineProperty(Element.prototype, name, {
+        value: window.__tabPowerSaverOriginals[name],
+        configurable: true,
+        writable: true
+      });
+    });
+  }
+  if (window.__tabPowerSaverPausedAnimations) {
+    window.__tabPowerSaverPausedAnimations.forEach(animation => {
+      if (animation.playState === 'paused') animation.play();
+    });
+    delete window.__tabPowerSaverPausedAnimations;
+  }
+  if (window.__tabPowerSaverPausedSvgs) {
+    window.__tabPowerSaverPausedSvgs.forEach(svg => svg.unpauseAnimations());
+    delete window.__tabPowerSaverPausedSvgs;
+    console.log("✓ Web animations and SVG animations resumed");
+  }
   
-  // === 7. FINAL CLEANUP ===
+  // === 7. RESTORE NETWORK ACTIVITY ===
+  // Put fetch and XHR back, then send what the network policy held back, oldest first
+  if (features.network === 'ratelimit' || features.network === 'hold') {
+    const originals = window.__tabPowerSaverOriginals || {};
+    if (originals.fetch) {
+      Object.defineProperty(window, 'fetch', {
+        value: originals.fetch,
+        configurable: true,
+        writable: true
+      });
+    }
+    if (originals.xhr) {
+      Object.keys(originals.xhr).forEach(name => {
+        Object.defineProperty(XMLHttpRequest.prototype, name, originals.xhr[name]);
+      });
+    }
+
+    if (window.__tabPowerSaverHeldRequests) {
+      window.__tabPowerSaverHeldRequests.splice(0).forEach(({ release, timerId }) => {
+        if (timerId !== null) window.__tabPowerSaverRegistry.cancel(timerId);
+        try {
+          release();
+        } catch (e) {
+          console.debug("[RESTORE] Held request failed:", e);
+        }
+      });
+      delete window.__tabPowerSaverHeldRequests;
+    }
+
+    if (window.__tabPowerSaverRegistry) window.__tabPowerSaverRegistry.setNetworkHold('off');
+    console.log("✓ Network activity restored");
+  }
+
+  // === 8. FINAL CLEANUP ===
   if (window.__tabPowerSaverOriginals) {
     delete window.__tabPowerSaverOriginals;
   }
+  delete window.__tabPowerSaverSettings;
+  delete window.__tabPowerSaverFeatures;
   
   // Remove all our stored references
   document.documentElement.removeAttribute('data-tab-power-saver');
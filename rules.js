@@ -0,0 +1,245 @@
+// Per-site throttle rules - shared by the background page and the whitelist manager
+// Needs psl.js loaded first
+
+// What each level throttles inside throttle-script.js
+const THROTTLE_LEVELS = {
+  exempt:   { label: 'Exempt - never throttle',            features: [] },
+  light:    { label: 'Light - timers only',                features: ['timers'] },
+  standard: { label: 'Standard - everything but timers',   features: ['animationFrames', 'canvas', 'media', 'css', 'observers'] },
+  deep:     { label: 'Deep - timers, rAF, canvas, media, CSS, observers', features: ['timers', 'animationFrames', 'canvas', 'media', 'css', 'observers'] }
+};
+
+// Level used for sites without a rule
+const DEFAULT_LEVEL = 'deep';
+
+// How a rule's value is matched against a tab's URL
+const RULE_TYPES = {
+  domain:  { label: 'Site & subdomains' },   // registrable domain (eTLD+1)
+  host:    { label: 'Exact host only' },     // one hostname, no subdomains
+  pattern: { label: 'URL pattern' },         // *.atlassian.net/wiki/*, https://mail.example.com/*
+  regex:   { label: 'Regular expression' }   // tested against the full URL
+};
+
+// What happens to tabs no rule matches
+const RULE_MODES = {
+  exclude: { label: 'Throttle everything except the listed rules' },  // unmatched -> DEFAULT_LEVEL
+  include: { label: 'Throttle only the listed rules' }                // unmatched -> exempt
+};
+
+const DEFAULT_RULE_MODE = 'exclude';
+
+// What a throttled tab of the site may do on the network (set per rule)
+const NETWORK_POLICIES = {
+  off:       { label: 'Network: normal' },
+  ratelimit: { label: 'Network: rate-limit' },  // one background request per timer floor
+  hold:      { label: 'Network: hold' }         // nothing until the tab wakes up
+};
+
+const DEFAULT_NETWORK_POLICY = 'off';
+
+// Heartbeat of a site's sleeping tabs - minutes between short wake-ups that let chat and
+// mail tabs sync (0 = never woken)
+const HEARTBEAT_CHOICES = {
+  0:  { label: 'Heartbeat: off' },
+  5:  { label: 'Heartbeat: every 5 min' },
+  15: { label: 'Heartbeat: every 15 min' },
+  30: { label: 'Heartbeat: every 30 min' },
+  60: { label: 'Heartbeat: every hour' }
+};
+
+// Compiled pattern/regex rules, keyed by "type:value" (rules themselves stay plain JSON)
+const compiledRules = new Map();
+
+// Turn a wildcard URL pattern into a RegExp. "*" matches anything, a leading "*." also
+// matches the bare domain, no scheme matches any scheme and no path matches any path.
+function compilePattern(pattern) {
+  const schemeMatch = pattern.match(/^([a-z*][a-z0-9+.-]*):\/\//);
+  let rest = schemeMatch ? pattern.slice(schemeMatch[0].length) : pattern;
+  if (/\s/.test(rest)) throw new Error('Patterns cannot contain spaces');
+  if (!rest.includes('/')) rest += '/*';
+
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const scheme = schemeMatch ? escape(schemeMatch[1]) : '[a-z][a-z0-9+.-]*';
+  const slash = rest.indexOf('/');
+  let host = rest.slice(0, slash);
+  const path = rest.slice(slash);
+  if (!host) throw new Error('Pattern needs a host, e.g. *.example.com/*');
+  let hostRegex;
+  if (host.startsWith('*.')) {
+    host = host.slice(2);
+    hostRegex = '(?:[^/?#]*\\.)?' + escape(host);
+  } else {
+    hostRegex = escape(host);
+  }
+  return new RegExp('^' + scheme + ':\\/\\/' + hostRegex + '(?::\\d+)?' + escape(path) + '$', 'i');
+}
+
+// RegExp for a pattern/regex rule (throws if the value is invalid)
+function getRuleRegex(rule) {
+  const key = rule.type + ':' + rule.value;
+  if (!compiledRules.has(key)) {
+    compiledRules.set(key, rule.type === 'regex' ? new RegExp(rule.value, 'i') : compilePattern(rule.value));
+  }
+  return compiledRules.get(key);
+}
+
+// Error message for a rule value, or '' if it is valid
+function validateRule(type, value) {
+  if (!value) return 'Enter a value';
+  if (type === 'pattern' || type === 'regex') {
+    try {
+      getRuleRegex({ type, value });
+    } catch (e) {
+      return type === 'regex' ? e.message : 'Invalid pattern: ' + e.message;
+    }
+  }
+  return '';
+}
+
+// true if a pattern/regex rule matches the full URL (invalid rules never match)
+function matchesUrlRule(rule, url) {
+  try {
+    return getRuleRegex(rule).test(url);
+  } catch (_) { return false; }
+}
+
+// Rules are stored as { type, value, level, workers?, network?, keepAudio?, heartbeat? }; older
+// versions stored plain domain strings or { domain, level }. workers: true opts the site into
+// worker throttling, network is a NETWORK_POLICIES key (left out for the default), keepAudio: true
+// lets the site's tabs be throttled while they keep playing audio, heartbeat is a
+// HEARTBEAT_CHOICES key in minutes (left out when off).
+function normalizeRules(list) {
+  return (list || []).map(entry => {
+    if (typeof entry === 'string') return { type: 'domain', value: entry, level: 'exempt' };
+    const rule = {
+      type: RULE_TYPES[entry.type] ? entry.type : 'domain',
+      value: entry.value || entry.domain,
+      level: THROTTLE_LEVELS[entry.level] ? entry.level : 'exempt'
+    };
+    if (entry.workers) rule.workers = true;
+    if (entry.keepAudio) rule.keepAudio = true;
+    if (NETWORK_POLICIES[entry.network] && entry.network !== DEFAULT_NETWORK_POLICY) rule.network = entry.network;
+    if (HEARTBEAT_CHOICES[entry.heartbeat] && Number(entry.heartbeat) > 0) rule.heartbeat = Number(entry.heartbeat);
+    return rule;
+  }).filter(rule => rule.value);
+}
+
+// Rewrite domain rules that are bare public suffixes (old builds stored "co.uk" for
+// "bbc.co.uk") into exact-host rules, so they stop matching every site under the suffix
+function migratePublicSuffixRules(rules) {
+  let changed = false;
+  const migrated = rules.map(rule => {
+    if (rule.type !== 'domain' || !isPublicSuffix(rule.value)) return rule;
+    changed = true;
+    return Object.assign({}, rule, { type: 'host' });
+  });
+  return changed ? migrated : null;
+}
+
+// Rule with the same type and value, or undefined
+function findSameRule(rules, type, value) {
+  return rules.find(rule => rule.type === type && rule.value === value);
+}
+
+// Rule that applies to a URL - most specific wins: exact host, then pattern/regex
+// (in list order), then registrable domain
+function findRule(rules, url) {
+  const host = getHost(url);
+  if (!host) return undefined;
+  const domain = getDomain(url);
+  return rules.find(rule => rule.type === 'host' && rule.value === host) ||
+    rules.find(rule => (rule.type === 'pattern' || rule.type === 'regex') && matchesUrlRule(rule, url)) ||
+    rules.find(rule => rule.type === 'domain' && rule.value === domain);
+}
+
+// Throttle level for a URL under the given rule mode
+function resolveLevel(rules, mode, url) {
+  const rule = findRule(rules, url);
+  if (mode === 'include') return rule ? rule.level : 'exempt';
+  return rule ? rule.level : DEFAULT_LEVEL;
+}
+
+// Feature switches handed to throttle-script.js; workers, the network policy and
+// keepAudio come from the site's rule
+function getLevelFeatures(level, rule) {
+  const enabled = (THROTTLE_LEVELS[level] || THROTTLE_LEVELS[DEFAULT_LEVEL]).features;
+  const features = {};
+  THROTTLE_LEVELS[DEFAULT_LEVEL].features.forEach(f => { features[f] = enabled.includes(f); });
+  features.workers = enabled.length > 0 && !!(rule && rule.workers);
+  features.network = enabled.length > 0 && rule && rule.network ? rule.network : DEFAULT_NETWORK_POLICY;
+  features.keepAudio = !!(rule && rule.keepAudio);
+  return features;
+}
+
+// Minutes between heartbeat wake-ups of a throttled site, or 0 for none
+function getHeartbeatMinutes(level, rule) {
+  const enabled = (THROTTLE_LEVELS[level] || THROTTLE_LEVELS[DEFAULT_LEVEL]).features;
+  return enabled.length > 0 && rule && rule.heartbeat ? rule.heartbeat : 0;
+}
+
+// Files registered in front of page-registry.js to switch on its optional sections
+const REGISTRY_SECTION_FILES = {
+  workers:   'registry-workers.js',
+  network:   'registry-network.js',
+  audio:     'registry-audio.js',
+  observers: 'registry-observers.js'
+};
+
+// page-registry.js sections a site's features need from document_start
+function getRegistrySections(features) {
+  return {
+    workers: !!features.workers,
+    network: features.network !== DEFAULT_NETWORK_POLICY,
+    audio: !!features.media && !features.keepAudio,
+    observers: !!features.observers
+  };
+}
+
+// Match pattern for the URLs a rule covers, or null if match patterns cannot express it
+// (regular expressions, other schemes, ports or wildcards inside a host)
+function getRuleMatchPattern(rule) {
+  if (rule.type === 'domain') return `*://*.${rule.value}/*`;
+  if (rule.type === 'host') return `*://${rule.value}/*`;
+  if (rule.type !== 'pattern') return null;
+  const schemeMatch = rule.value.match(/^([a-z*][a-z0-9+.-]*):\/\//i);
+  const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : '*';
+  if (!['*', 'http', 'https'].includes(scheme)) return null;
+  let rest = schemeMatch ? rule.value.slice(schemeMatch[0].length) : rule.value;
+  if (!rest.includes('/')) rest += '/*';
+  const host = rest.slice(0, rest.indexOf('/'));
+  if (!/^(\*|(\*\.)?[^*:]+)$/.test(host)) return null;
+  return `${scheme}://${host}${rest.slice(rest.indexOf('/'))}`;
+}
+
+// Content scripts that put page-registry.js in place at document_start (without id, runAt
+// and world): one per throttled rule with the sections its features need, plus one for
+// sites without a rule. Each leaves out the URLs of the rules that win over it (see
+// findRule); exempt sites get nothing. Rules match patterns cannot express fall under the
+// broader script, and get their sections only once they are throttled.
+function getRegistryScripts(rules, mode) {
+  const hosts = rules.filter(rule => rule.type === 'host');
+  const urlRules = rules.filter(rule => rule.type === 'pattern' || rule.type === 'regex');
+  const domains = rules.filter(rule => rule.type === 'domain');
+  const scripts = [];
+
+  const add = (match, winners, level, rule) => {
+    if (!match || level === 'exempt') return;
+    const sections = getRegistrySections(getLevelFeatures(level, rule));
+    const script = {
+      matches: [match],
+      js: Object.keys(REGISTRY_SECTION_FILES)
+        .filter(name => sections[name])
+        .map(name => REGISTRY_SECTION_FILES[name])
+        .concat('page-registry.js')
+    };
+    const excludeMatches = winners.map(getRuleMatchPattern).filter(Boolean);
+    if (excludeMatches.length) script.excludeMatches = excludeMatches;
+    scripts.push(script);
+  };
+
+  hosts.forEach(rule => add(getRuleMatchPattern(rule), [], rule.level, rule));
+  urlRules.forEach((rule, i) => add(getRuleMatchPattern(rule), hosts.concat(urlRules.slice(0, i)), rule.level, rule));
+  domains.forEach(rule => add(getRuleMatchPattern(rule), hosts.concat(urlRules), rule.level, rule));
+  if (mode !== 'include') add('*://*/*', rules, DEFAULT_LEVEL);
+  return scripts;
+}
@@ -0,0 +1,68 @@
+// Savings telemetry - shared by the background page and the stats page
+// Throttled pages count what they held back; the background page adds the counts up per
+// registrable domain and day in storage.local (savingsHistory). Nothing leaves the machine.
+
+// Counters reported by page-registry.js, in display order
+const SAVINGS_COUNTERS = [
+  { key: 'wakeupsAvoided',  label: 'Wake-ups avoided (estimate)' },
+  { key: 'timersStretched', label: 'Timer runs stretched' },
+  { key: 'framesDeferred',  label: 'Animation frames deferred' },
+  { key: 'canvasSkipped',   label: 'Canvas frames skipped' },
+  { key: 'mediaPaused',     label: 'Media paused' },
+  { key: 'observerBatches', label: 'Observer batches delayed' },
+  { key: 'heldRequests',    label: 'Requests held' }
+];
+
+// Days of history kept
+const SAVINGS_HISTORY_DAYS = 30;
+
+// 'YYYY-MM-DD' in local time
+function getSavingsDay(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Add the counters of a report to totals (both plain objects keyed by counter)
+function addSavings(totals, report) {
+  SAVINGS_COUNTERS.forEach(({ key }) => {
+    const value = Number(report && report[key]);
+    if (value > 0) totals[key] = (totals[key] || 0) + value;
+  });
+  return totals;
+}
+
+// true if a report counted anything
+function hasSavings(report) {
+  return SAVINGS_COUNTERS.some(({ key }) => Number(report && report[key]) > 0);
+}
+
+// Record a page's report under its domain for the given day; returns the history
+// without days older than SAVINGS_HISTORY_DAYS
+function recordSavingsHistory(history, domain, report, date) {
+  const day = getSavingsDay(date);
+  const days = Object.assign({}, history);
+  days[day] = Object.assign({}, days[day]);
+  days[day][domain] = addSavings(Object.assign({}, days[day][domain]), report);
+
+  const oldest = getSavingsDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() - SAVINGS_HISTORY_DAYS + 1));
+  Object.keys(days).forEach(key => {
+    if (key < oldest) delete days[key];
+  });
+  return days;
+}
+
+// Per-domain totals of the last `days` days, most wake-ups avoided first:
+// [{ domain, totals }]
+function summarizeSavings(history, days, date) {
+  const oldest = getSavingsDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() - days + 1));
+  const byDomain = {};
+  Object.keys(history || {}).forEach(day => {
+    if (day < oldest) return;
+    Object.keys(history[day]).forEach(domain => {
+      byDomain[domain] = addSavings(byDomain[domain] || {}, history[day][domain]);
+    });
+  });
+  return Object.keys(byDomain)
+    .map(domain => ({ domain, totals: byDomain[domain] }))
+    .sort((a, b) => (b.totals.wakeupsAvoided || 0) - (a.totals.wakeupsAvoided || 0));
+}
@@ -0,0 +1,64 @@
+// Time-of-day / weekday schedules - shared by the background page and the options page
+// Rules are stored as { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', action: 'on' | 'off',
+// profile: profile name or '' for the selected one }. The first matching rule wins.
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 'HH:MM' -> minutes since midnight; empty start means 00:00, empty end means 24:00
+function parseScheduleTime(text, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match) return fallback;
+  return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+}
+
+// true if the rule covers this moment; ranges ending before they start run past midnight
+function scheduleRuleMatches(rule, date) {
+  const days = rule.days || [];
+  const start = parseScheduleTime(rule.start, 0);
+  const end = parseScheduleTime(rule.end, 24 * 60);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (start <= end) return days.includes(day) && minutes >= start && minutes < end;
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+}
+
+// Human readable summary of a rule
+function describeScheduleRule(rule) {
+  const days = (rule.days || []).length === 7 ? 'Every day' : (rule.days || []).map(d => WEEKDAY_LABELS[d]).join(', ');
+  const range = rule.start || rule.end ? `${rule.start || '00:00'}–${rule.end || '24:00'}` : 'all day';
+  return `${days || 'No days'} ${range}`;
+}
+
+// What the schedule wants right now: { enabled, profile, reason }
+function evaluateSchedule(rules, date) {
+  const rule = (rules || []).find(r => scheduleRuleMatches(r, date));
+  if (!rule) return { enabled: false, profile: null, reason: 'no rule matches - off' };
+  const enabled = rule.action !== 'off';
+  return {
+    enabled,
+    profile: enabled && rule.profile ? rule.profile : null,
+    reason: `${describeScheduleRule(rule)} - ${enabled ? 'on' : 'off'}`
+  };
+}
+
+// Next moment any rule starts or ends (a Date), or null without rules. Only days in the
+// rule count; the end of an overnight range falls on the following day.
+function getNextScheduleBoundary(rules, date) {
+  let next = null;
+  (rules || []).forEach(rule => {
+    const days = rule.days || [];
+    const start = parseScheduleTime(rule.start, 0);
+    const end = parseScheduleTime(rule.end, 24 * 60);
+    // from yesterday, whose overnight range may end today
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+      if (!days.includes(day.getDay())) continue;
+      [[0, start], [start > end ? 1 : 0, end]].forEach(([extraDays, minutes]) => {
+        const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate() + extraDays, 0, minutes);
+        if (candidate > date && (!next || candidate < next)) next = candidate;
+      });
+    }
+  });
+  return next;
+}
@@ -0,0 +1,69 @@
+const browserApi = typeof browser !== 'undefined' ? browser : chrome;
+
+const rangeInput = document.getElementById('rangeInput');
+const summaryEl  = document.getElementById('summary');
+const siteTable  = document.getElementById('siteTable');
+const tabTable   = document.getElementById('tabTable');
+
+// Sites shown in the top list
+const TOP_SITES = 20;
+
+let savings = { history: {}, tabs: [] };
+let openTabs = new Map();             // tabId -> tab, for titles in the tab table
+
+// Ask the background page for fresh counters (it collects them from every throttled tab)
+function load() {
+  browserApi.tabs.query({}, tabs => {
+    openTabs = new Map(tabs.map(tab => [tab.id, tab]));
+    browserApi.runtime.sendMessage({ type: 'get_savings' })
+      .then(response => {
+        savings = response || savings;
+        render();
+      })
+      .catch(() => {
+        summaryEl.textContent = 'Stats unavailable';
+      });
+  });
+}
+
+rangeInput.addEventListener('change', render);
+
+function render() {
+  const sites = summarizeSavings(savings.history, Number(rangeInput.value), new Date());
+  const total = sites.reduce((sum, site) => addSavings(sum, site.totals), {});
+  summaryEl.textContent = sites.length
+    ? `About ${(total.wakeupsAvoided || 0).toLocaleString()} wake-ups avoided across ${sites.length} site(s)`
+    : 'Nothing recorded yet - stats appear once tabs have slept';
+
+  renderTable(siteTable, 'Site', sites.slice(0, TOP_SITES).map(site => [site.domain, site.totals]));
+  renderTable(tabTable, 'Tab', savings.tabs
+    .filter(entry => openTabs.has(entry.tabId))
+    .sort((a, b) => (b.totals.wakeupsAvoided || 0) - (a.totals.wakeupsAvoided || 0))
+    .map(entry => [openTabs.get(entry.tabId).title || entry.domain, entry.totals]));
+}
+
+// One row per [name, totals], one column per counter
+function renderTable(table, firstColumn, rows) {
+  table.innerHTML = '';
+  const head = table.insertRow();
+  [firstColumn].concat(SAVINGS_COUNTERS.map(counter => counter.label)).forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  if (!rows.length) {
+    const cell = table.insertRow().insertCell();
+    cell.colSpan = SAVINGS_COUNTERS.length + 1;
+    cell.textContent = 'No data';
+    return;
+  }
+  rows.forEach(([name, totals]) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = name;
+    SAVINGS_COUNTERS.forEach(({ key }) => {
+      row.insertCell().textContent = (totals[key] || 0).toLocaleString();
+    });
+  });
+}
+
+load();
@@ -1,7 +1,32 @@
 (function () {
   'use strict';
+  // Profile values handed over by background.js (falls back to the Deep profile)
+  const newConfig = window.__tabPowerSaverConfig;
+  delete window.__tabPowerSaverConfig;
+
+  // Timer registry - page-registry.js is injected right before us (and usually already ran at document_start)
+  const registry = window.__tabPowerSaverRegistry;
+  if (!registry) {
+    console.warn('⚠️ Timer registry missing – cannot throttle this tab');
+    return;
+  }
+
   // Make the script idempotent – safe to run many times
   if (window.__tabPowerSaverApplied) {
+    // Re-injection with a new profile only updates the live values
+    if (newConfig && window.__tabPowerSaverSettings) {
+      delete newConfig.features; // features can only change through a full restore
+      Object.assign(window.__tabPowerSaverSettings, newConfig);
+      if (window.__tabPowerSaverFeatures.timers) {
+        registry.setStretch(window.__tabPowerSaverSettings); // re-time pending timers too
+      }
+      registry.setWakeWindow(window.__tabPowerSaverSettings);
+      if (window.__tabPowerSaverFeatures.workers) {
+        registry.setWorkerThrottle(window.__tabPowerSaverSettings);
+      }
+      console.log('✓ Throttle profile updated for this tab');
+      return;
+    }
     console.log('⚠️ Throttle script already applied to this tab – skipping re-injection');
     return; // Exit entire script execution
   }
@@ -11,300 +36,674 @@
   // Mark this tab as throttled
   window.__tabPowerSaverApplied = true;
 
+  // Live throttle values - read on every call so profile changes apply immediately
+  const settings = Object.assign({
+    timeoutFloor: 10000,
+    intervalFloor: 30000,
+    frameInterval: 2000,
+    canvasInterval: 5000,
+    observerInterval: 5000,
+    wakeWindow: 0,
+    wakePhase: 0
+  }, newConfig);
+  window.__tabPowerSaverSettings = settings;
+
+  // Which parts of the page get throttled - chosen by the site's throttle level
+  const features = Object.assign({
+    timers: true,
+    animationFrames: true,
+    canvas: true,
+    media: true,
+    css: true,
+    observers: true,
+    workers: false,
+    network: 'off',
+    keepAudio: false
+  }, newConfig && newConfig.features);
+  delete settings.features;
+  window.__tabPowerSaverFeatures = features;
+
+  // Registry sections these features need (the same as getRegistrySections() in rules.js).
+  // Pages registered at document_start have them already; elsewhere they only see what the
+  // page creates from now on.
+  registry.enable({
+    workers: features.workers,
+    network: features.network !== 'off',
+    audio: features.media && !features.keepAudio,
+    observers: features.observers
+  });
+
   // Store original functions for restoration - use bind to lock them to their current context
-  // This prevents any reference chain breaks if restoration and re-throttling occur
-  const originalSetTimeout = window.setTimeout.bind(window);
-  const originalSetInterval = window.setInterval.bind(window);
+  // This prevents any reference chain breaks if restoration and re-throttling occur.
+  // (Timers need no originals - the registry keeps its own.)
   const originalRAF = window.requestAnimationFrame.bind(window);
-  const originalCanvasGetContext = HTMLCanvasElement.prototype.getContext;
 
   window.__tabPowerSaverOriginals = {
-    setTimeout: originalSetTimeout,
-    setInterval: originalSetInterval,
-    requestAnimationFrame: originalRAF,
-    canvasGetContext: originalCanvasGetContext
+    requestAnimationFrame: originalRAF
   };
 
-  // === 1. EXTREME JAVASCRIPT TIMING THROTTLING ===
-  // Use the locked original references to prevent recursion issues
-  Object.defineProperty(window, 'setTimeout', {
-  value: (cb, delay = 0) => {
-    if (delay < 1000) {
-      console.debug(`[THROTTLE] Short setTimeout (${delay}ms) intercepted and extended`);
-    }
-    return originalSetTimeout(cb, Math.max(delay, 10000));
-  },
-  configurable: true,
-  writable: true
-});
-
-Object.defineProperty(window, 'setInterval', {
-  value: (cb, delay = 0) => {
-    if (delay < 5000) {
-      console.debug(`[THROTTLE] Short setInterval (${delay}ms) intercepted and extended`);
-    }
-    return originalSetInterval(cb, Math.max(delay, 30000));
-  },
-  configurable: true,
-  writable: true
-});
+// === 1. EXTREME JAVASCRIPT TIMING THROTTLING ===
+// page-registry.js tracks every pending timer - also the ones created before we got here -
+// and re-creates them with the floors applied. The floors are read from the live settings.
+if (features.timers) {
+  registry.setStretch(settings);
+  console.debug(`[THROTTLE] ${registry.getStats().pendingTimers} pending timers stretched`);
+}
+
+// Wake-up coalescing: with a wake window set, stretched timers and deferred animation
+// frames all run together at the next window shared by every throttled tab
+registry.setWakeWindow(settings);
+
+// === 1b. TASK SCHEDULING THROTTLING ===
+// Schedulers that never touch setTimeout (React-style MessageChannel loops, idle callbacks,
+// scheduler.postTask, endless queueMicrotask chains) are held back by the timeout floor too.
+// page-registry.js holds the MessageChannel messages a page posts to itself; the rest are
+// kept in __tabPowerSaverDeferredTasks so restore can run them at once.
+if (features.timers) {
+  registry.setTaskThrottle(settings);
+
+  // registry id -> run the held-back call now
+  const deferredTasks = new Map();
+  const deferTask = (run, delay) => {
+    const id = registry.defer(() => {
+      deferredTasks.delete(id);
+      run();
+    }, delay);
+    deferredTasks.set(id, run);
+    return id;
+  };
+  window.__tabPowerSaverDeferredTasks = deferredTasks;
+
+  // Originals are kept unbound so restore puts back the very same functions
+  if (typeof window.requestIdleCallback === 'function') {
+    const originalRIC = window.requestIdleCallback;
+    const originalCancelIC = window.cancelIdleCallback;
+    window.__tabPowerSaverOriginals.requestIdleCallback = originalRIC;
+    window.__tabPowerSaverOriginals.cancelIdleCallback = originalCancelIC;
+
+    // Maps fake idle callback IDs to the registry or real idle callback ID behind them.
+    // Fake IDs start far above the browser's own, so cancelling a callback requested
+    // before the tab went to sleep never hits one of ours.
+    const idleIdMap = new Map();
+    let nextIdleId = 0x40000000;
+
+    Object.defineProperty(window, 'requestIdleCallback', {
+      value: (callback, options) => {
+        const fakeId = nextIdleId++;
+        const timerId = deferTask(() => {
+          const realId = originalRIC.call(window, deadline => {
+            idleIdMap.delete(fakeId);
+            callback(deadline);
+          }, options);
+          idleIdMap.set(fakeId, { type: 'idle', id: realId });
+        }, settings.timeoutFloor);
+        idleIdMap.set(fakeId, { type: 'deferred', id: timerId });
+        return fakeId;
+      },
+      configurable: true,
+      writable: true
+    });
+
+    Object.defineProperty(window, 'cancelIdleCallback', {
+      value: (id) => {
+        const mapping = idleIdMap.get(id);
+        if (!mapping) {
+          originalCancelIC.call(window, id);
+          return;
+        }
+        if (mapping.type === 'idle') {
+          originalCancelIC.call(window, mapping.id);
+        } else {
+          registry.cancel(mapping.id);
+          deferredTasks.delete(mapping.id);
+        }
+        idleIdMap.delete(id);
+      },
+      configurable: true,
+      writable: true
+    });
+
+    window.__tabPowerSaverIdleIdMap = idleIdMap;
+  }
+
+  // postTask resolves with the callback's result, so the held-back task is chained in
+  if (window.scheduler && typeof window.scheduler.postTask === 'function') {
+    const originalPostTask = window.scheduler.postTask;
+    window.__tabPowerSaverOriginals.schedulerPostTask = originalPostTask;
+
+    Object.defineProperty(window.scheduler, 'postTask', {
+      value: (callback, options) => {
+        const postedAt = performance.now();
+        return new Promise(resolve => deferTask(resolve, settings.timeoutFloor)).then(() => {
+          // keep whatever is left of the task's own delay; an aborted signal rejects as usual
+          const delay = Math.max(0, ((options && options.delay) || 0) - (performance.now() - postedAt));
+          return originalPostTask.call(window.scheduler, callback, Object.assign({}, options, { delay }));
+        });
+      },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  // Microtasks cannot be delayed without breaking promises, so only chains that keep
+  // re-queueing themselves past MICROTASK_LOOP_DEPTH are moved out to a deferred task
+  const MICROTASK_LOOP_DEPTH = 100;
+  const originalQueueMicrotask = window.queueMicrotask;
+  window.__tabPowerSaverOriginals.queueMicrotask = originalQueueMicrotask;
+  let runningChain = 0;
+
+  Object.defineProperty(window, 'queueMicrotask', {
+    value: (callback) => {
+      const chain = runningChain + 1;
+      const run = () => {
+        runningChain = chain;
+        try {
+          callback();
+        } finally {
+          runningChain = 0;
+        }
+      };
+      if (chain > MICROTASK_LOOP_DEPTH) {
+        console.debug('[THROTTLE] queueMicrotask loop deferred');
+        deferTask(() => originalQueueMicrotask.call(window, callback), settings.timeoutFloor);
+        return;
+      }
+      originalQueueMicrotask.call(window, run);
+    },
+    configurable: true,
+    writable: true
+  });
+}
 
 // === 2. EXTREME ANIMATION FRAME THROTTLING ===
-let lastAnimationFrameTime = 0;
-const MIN_FRAME_INTERVAL = 2000; // 2 seconds between frames
-
-// Track RAF IDs and their corresponding timer IDs for proper cancellation
-const rafIdMap = new Map(); // Maps fake RAF IDs to real timer IDs
-let nextRafId = 1;
-
-Object.defineProperty(window, 'requestAnimationFrame', {
-  value: (callback) => {
-    const currentTime = performance.now();
-
-    if (currentTime - lastAnimationFrameTime >= MIN_FRAME_INTERVAL) {
-      lastAnimationFrameTime = currentTime;
-      const realRafId = originalRAF(callback);
-      
-      // Store mapping in case cancellation is needed
+if (features.animationFrames) {
+  let lastAnimationFrameTime = 0;
+
+  // Track RAF IDs and their corresponding timer IDs for proper cancellation
+  const rafIdMap = new Map(); // Maps fake RAF IDs to real timer IDs
+  let nextRafId = 1;
+
+  Object.defineProperty(window, 'requestAnimationFrame', {
+    value: (callback) => {
+      const currentTime = performance.now();
+
+      if (currentTime - lastAnimationFrameTime >= settings.frameInterval) {
+        lastAnimationFrameTime = currentTime;
+        const realRafId = originalRAF(callback);
+
+        // Store mapping in case cancellation is needed
+        const fakeId = nextRafId++;
+        rafIdMap.set(fakeId, { type: 'raf', id: realRafId });
+        return fakeId;
+      }
+
+      // Defer through the registry (batched with the timers) but return a trackable ID;
+      // a 60 fps loop would have run this many more frames meanwhile
+      registry.count('framesDeferred');
+      registry.count('wakeupsAvoided', Math.max(0, Math.round(settings.frameInterval / 16.7) - 1));
       const fakeId = nextRafId++;
-      rafIdMap.set(fakeId, { type: 'raf', id: realRafId });
+      const timerId = registry.defer(() => {
+        rafIdMap.delete(fakeId);
+        lastAnimationFrameTime = performance.now();
+        callback(lastAnimationFrameTime);
+      }, settings.frameInterval - (currentTime - lastAnimationFrameTime));
+
+      rafIdMap.set(fakeId, { type: 'timeout', id: timerId });
       return fakeId;
-    }
+    },
+    configurable: true,
+    writable: true
+  });
 
-    // Use setTimeout fallback but return a trackable ID
-    const fakeId = nextRafId++;
-    const timerId = originalSetTimeout(() => {
-      rafIdMap.delete(fakeId);
-      lastAnimationFrameTime = performance.now();
-      callback(lastAnimationFrameTime);
-    }, MIN_FRAME_INTERVAL - (currentTime - lastAnimationFrameTime));
-    
-    rafIdMap.set(fakeId, { type: 'timeout', id: timerId });
-    return fakeId;
-  },
-  configurable: true,
-  writable: true
-});
-
-// Store original cancelAnimationFrame
-const originalCancelRAF = window.cancelAnimationFrame.bind(window);
-const originalClearTimeout = window.clearTimeout.bind(window);
-
-// Override cancelAnimationFrame to handle our fake IDs
-Object.defineProperty(window, 'cancelAnimationFrame', {
-  value: (id) => {
-    const mapping = rafIdMap.get(id);
-    if (mapping) {
-      if (mapping.type === 'raf') {
-        originalCancelRAF(mapping.id);
+  // Store original cancelAnimationFrame
+  const originalCancelRAF = window.cancelAnimationFrame.bind(window);
+
+  // Override cancelAnimationFrame to handle our fake IDs
+  Object.defineProperty(window, 'cancelAnimationFrame', {
+    value: (id) => {
+      const mapping = rafIdMap.get(id);
+      if (mapping) {
+        if (mapping.type === 'raf') {
+          originalCancelRAF(mapping.id);
+        } else {
+          registry.cancel(mapping.id);
+        }
+        rafIdMap.delete(id);
       } else {
-        originalClearTimeout(mapping.id);
+        // Fallback to original if not in our map
+        originalCancelRAF(id);
       }
-      rafIdMap.delete(id);
-    } else {
-      // Fallback to original if not in our map
-      originalCancelRAF(id);
-    }
-  },
-  configurable: true,
-  writable: true
-});
+    },
+    configurable: true,
+    writable: true
+  });
 
-// Store for restoration
-window.__tabPowerSaverOriginals.cancelAnimationFrame = originalCancelRAF;
-window.__tabPowerSaverOriginals.clearTimeout = originalClearTimeout;
-window.__tabPowerSaverRAFIdMap = rafIdMap;
+  // Store for restoration
+  window.__tabPowerSaverOriginals.cancelAnimationFrame = originalCancelRAF;
+  window.__tabPowerSaverRAFIdMap = rafIdMap;
+}
 
 // === 3. CANVAS & WEBGL RENDERING THROTTLING ===
-(function() {
-  // Track last render time for each canvas context - stored globally for better lifecycle
-  const canvasLastRender = new WeakMap();
-  const MIN_CANVAS_RENDER_INTERVAL = 5000; // 5 seconds between renders
-
-  // Store the WeakMap globally so it can be accessed during restoration if needed
-  window.__tabPowerSaverCanvasRenderMap = canvasLastRender;
-
-  // Create throttled getContext function
-  const throttledGetContext = function(type, ...args) {
-    const context = originalCanvasGetContext.call(this, type, ...args);
-
-    if (type === '2d' && context) {
-      // Only override if not already overridden (for contexts created during throttling)
-      if (!context.__tabPowerSaverThrottled) {
-        // Store original methods on the context itself
-        const originalFillRect = context.fillRect.bind(context);
-        const originalDrawImage = context.drawImage.bind(context);
-        const originalStroke = context.stroke.bind(context);
-        const originalFill = context.fill.bind(context);
-
-        // Override rendering methods with throttled versions
-        context.fillRect = function(...args) {
-          const now = performance.now();
-          if (!canvasLastRender.has(this) || now - canvasLastRender.get(this) >= MIN_CANVAS_RENDER_INTERVAL) {
-            canvasLastRender.set(this, now);
-            return originalFillRect(...args);
-          }
-          return null;
-        };
-
-        context.drawImage = function(...args) {
-          const now = performance.now();
-          if (!canvasLastRender.has(this) || now - canvasLastRender.get(this) >= MIN_CANVAS_RENDER_INTERVAL) {
-            canvasLastRender.set(this, now);
-            return originalDrawImage(...args);
-          }
-          return null;
-        };
-
-        context.stroke = function(...args) {
-          const now = performance.now();
-          if (!canvasLastRender.has(this) || now - canvasLastRender.get(this) >= MIN_CANVAS_RENDER_INTERVAL) {
-            canvasLastRender.set(this, now);
-            return originalStroke(...args);
-          }
-          return null;
-        };
-
-        context.fill = function(...args) {
-          const now = performance.now();
-          if (!canvasLastRender.has(this) || now - canvasLastRender.get(this) >= MIN_CANVAS_RENDER_INTERVAL) {
-            canvasLastRender.set(this, now);
-            return originalFill(...args);
-          }
-          return null;
-        };
-
-        // Store originals for restoration
-        context.__originalFillRect = originalFillRect;
-        context.__originalDrawImage = originalDrawImage;
-        context.__originalStroke = originalStroke;
-        context.__originalFill = originalFill;
-        context.__tabPowerSaverThrottled = true;
-      }
+// Draw calls are gated per frame, not per call: the first draw on a context in a task decides
+// for the rest of that task, so a frame is drawn completely or not at all and a dropped frame
+// leaves the last one on screen. The prototypes are patched, so contexts created before
+// throttling are covered too. (OffscreenCanvas contexts living in workers are out of reach.)
+if (features.canvas) {
+  const CANVAS_DRAW_METHODS_2D = [
+    'clearRect', 'fillRect', 'strokeRect', 'fillText', 'strokeText',
+    'drawImage', 'putImageData', 'fill', 'stroke'
+  ];
+  const CANVAS_DRAW_METHODS = {
+    CanvasRenderingContext2D: CANVAS_DRAW_METHODS_2D,
+    OffscreenCanvasRenderingContext2D: CANVAS_DRAW_METHODS_2D,
+    WebGLRenderingContext: ['clear', 'drawArrays', 'drawElements'],
+    WebGL2RenderingContext: [
+      'clear', 'drawArrays', 'drawElements', 'drawArraysInstanced',
+      'drawElementsInstanced', 'drawRangeElements', 'blitFramebuffer'
+    ],
+    ANGLE_instanced_arrays: ['drawArraysInstancedANGLE', 'drawElementsInstancedANGLE']
+  };
+
+  // context -> { lastFrame, allowed, open } - open while the current task's decision holds
+  const frames = new WeakMap();
+
+  // extension object -> its WebGL context, so instanced draws share the context's frame
+  const extensionOwners = new WeakMap();
+
+  const allowDraw = (context) => {
+    let frame = frames.get(context);
+    if (!frame) {
+      frame = { lastFrame: -Infinity, allowed: false, open: false };
+      frames.set(context, frame);
+    }
+    if (!frame.open) {
+      const now = performance.now();
+      frame.open = true;
+      frame.allowed = now - frame.lastFrame >= settings.canvasInterval;
+      if (frame.allowed) frame.lastFrame = now;
+      else registry.count('canvasSkipped');
+      Promise.resolve().then(() => { frame.open = false; });
     }
+    return frame.allowed;
+  };
 
-    return context;
+  // Original descriptors, for restore-script.js: [{ proto, name, descriptor }]
+  const canvasOriginals = [];
+  const patchMethod = (proto, name, wrap) => {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+    if (!descriptor || typeof descriptor.value !== 'function') return;
+    canvasOriginals.push({ proto, name, descriptor });
+    Object.defineProperty(proto, name, Object.assign({}, descriptor, { value: wrap(descriptor.value) }));
   };
 
-  // Use Object.defineProperty to override getContext (more reliable in strict mode)
-  try {
-    Object.defineProperty(HTMLCanvasElement.prototype, 'getContext', {
-      value: throttledGetContext,
-      configurable: true,
-      writable: true
+  Object.keys(CANVAS_DRAW_METHODS).forEach(type => {
+    if (typeof window[type] !== 'function') return;
+    CANVAS_DRAW_METHODS[type].forEach(name => {
+      patchMethod(window[type].prototype, name, original => function (...args) {
+        if (!allowDraw(extensionOwners.get(this) || this)) return undefined;
+        return original.apply(this, args);
+      });
     });
-  } catch (e) {
-    // Fallback to direct assignment if Object.defineProperty fails
-    console.warn("[THROTTLE] Could not use Object.defineProperty for canvas, using direct assignment:", e.message);
-    HTMLCanvasElement.prototype.getContext = throttledGetContext;
-  }
+  });
 
-  // Store reference for restoration
-  window.__tabPowerSaverOriginalCanvasGetContext = originalCanvasGetContext;
-})();
+  ['WebGLRenderingContext', 'WebGL2RenderingContext'].forEach(type => {
+    if (typeof window[type] !== 'function') return;
+    patchMethod(window[type].prototype, 'getExtension', original => function (...args) {
+      const extension = original.apply(this, args);
+      if (extension && typeof extension === 'object') extensionOwners.set(extension, this);
+      return extension;
+    });
+  });
+
+  window.__tabPowerSaverCanvasOriginals = canvasOriginals;
+}
 
 // === 4. MEDIA HANDLING ===
-const mediaElements = [];
-
-// Function to throttle a single media element
-function throttleMediaElement(media) {
-  // Skip if already throttled
-  if (media.__tabPowerSaverThrottled) return;
-  
-  const wasPlaying = !media.paused;
-  const currentTime = media.currentTime;
-  const originalAutoplay = media.autoplay;
-  const originalMuted = media.muted; // Store original muted state
-  
-  if (wasPlaying) {
-    media.pause();
-    media.setAttribute('data-was-playing', 'true');
-    // Mute while paused to prevent any background audio
-    media.muted = true;
-  }
-  
-  // Store state including original muted value
-  mediaElements.push({ 
-    element: media, 
-    wasPlaying, 
-    currentTime, 
-    originalAutoplay, 
-    originalMuted 
-  });
+if (features.media) {
+  const mediaElements = [];
+
+  // Function to throttle a single media element
+  function throttleMediaElement(media) {
+    // Skip if already throttled
+    if (media.__tabPowerSaverThrottled) return;
+
+    // Keep-audio sites: audio and videos with sound keep playing (the browser already
+    // stops decoding and painting the video of a hidden tab)
+    if (features.keepAudio && (media.tagName === 'AUDIO' || (!media.muted && media.volume > 0))) return;
+
+    const wasPlaying = !media.paused;
+    const currentTime = media.currentTime;
+    const originalAutoplay = media.autoplay;
+    const originalMuted = media.muted; // Store original muted state
+
+    if (wasPlaying) {
+      registry.count('mediaPaused');
+      media.pause();
+      media.setAttribute('data-was-playing', 'true');
+      // Mute while paused to prevent any background audio
+      media.muted = true;
+    }
 
-  // Prevent autoplay when tab becomes active
-  media.autoplay = false;
+    // Store state including original muted value
+    mediaElements.push({ 
+      element: media, 
+      wasPlaying, 
+      currentTime, 
+      originalAutoplay, 
+      originalMuted 
+    });
 
-  // Store original play method to restore later
-  if (!media.__originalPlay) {
-    const originalPlay = media.play;
-    media.play = function() {
-      console.debug("[THROTTLE] Blocked autoplay attempt in background tab");
-      return Promise.reject(new Error("Autoplay blocked by Tab Power Saver"));
-    };
-    media.__originalPlay = originalPlay;
+    // Prevent autoplay when tab becomes active
+    media.autoplay = false;
+
+    // Store original play method to restore later
+    if (!media.__originalPlay) {
+      const originalPlay = media.play;
+      media.play = function() {
+        console.debug("[THROTTLE] Blocked autoplay attempt in background tab");
+        return Promise.reject(new Error("Autoplay blocked by Tab Power Saver"));
+      };
+      media.__originalPlay = originalPlay;
+    }
+
+    media.__tabPowerSaverThrottled = true;
   }
-  
-  media.__tabPowerSaverThrottled = true;
-}
 
-// Throttle existing media elements
-document.querySelectorAll('video, audio').forEach(throttleMediaElement);
-
-// Watch for dynamically added media elements
-const mediaObserver = new MutationObserver((mutations) => {
-  mutations.forEach(mutation => {
-    mutation.addedNodes.forEach(node => {
-      if (node.nodeType === 1) { // Element node
-        // Check if the node itself is media
-        if (node.tagName === 'VIDEO' || node.tagName === 'AUDIO') {
-          console.debug("[THROTTLE] Detected dynamically added media element");
-          throttleMediaElement(node);
-        }
-        // Check if node contains media elements
-        if (node.querySelectorAll) {
-          node.querySelectorAll('video, audio').forEach(throttleMediaElement);
+  // Throttle existing media elements
+  document.querySelectorAll('video, audio').forEach(throttleMediaElement);
+
+  // Watch for dynamically added media elements
+  // (the page's MutationObserver may be batched - ours must not be)
+  const mediaObserver = new registry.native.MutationObserver((mutations) => {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === 1) { // Element node
+          // Check if the node itself is media
+          if (node.tagName === 'VIDEO' || node.tagName === 'AUDIO') {
+            console.debug("[THROTTLE] Detected dynamically added media element");
+            throttleMediaElement(node);
+          }
+          // Check if node contains media elements
+          if (node.querySelectorAll) {
+            node.querySelectorAll('video, audio').forEach(throttleMediaElement);
+          }
         }
-      }
+      });
     });
   });
-});
 
-// Start observing
-mediaObserver.observe(document.documentElement, {
-  childList: true,
-  subtree: true
-});
+  // Start observing
+  mediaObserver.observe(document.documentElement, {
+    childList: true,
+    subtree: true
+  });
 
-// Store media state and observer for restoration
-window.__tabPowerSaverMediaState = mediaElements;
-window.__tabPowerSaverMediaObserver = mediaObserver;
+  // Web Audio: suspend every running AudioContext - also ones that start or resume while
+  // throttled. Only these are resumed on restore.
+  const suspendedAudio = [];
+  if (!features.keepAudio) {
+    const suspendAudio = (context) => {
+      if (context.state !== 'running') return;
+      context.suspend();
+      if (!suspendedAudio.includes(context)) {
+        suspendedAudio.push(context);
+        registry.count('mediaPaused');
+      }
+    };
+    registry.getAudioContexts().forEach(suspendAudio);
+    registry.setAudioHook(suspendAudio);
+  }
+
+  // Tell the OS media controls we paused, if the page said it was playing
+  const session = navigator.mediaSession;
+  const pausedSomething = suspendedAudio.length > 0 || mediaElements.some(entry => entry.wasPlaying);
+  if (session && session.playbackState === 'playing' && pausedSomething) {
+    session.playbackState = 'paused';
+    window.__tabPowerSaverMediaSession = 'playing';
+  }
+
+  // Store media state and observer for restoration
+  window.__tabPowerSaverMediaState = mediaElements;
+  window.__tabPowerSaverMediaObserver = mediaObserver;
+  window.__tabPowerSaverSuspendedAudio = suspendedAudio;
+}
 
 // === 5. LAYOUT THRASHING PREVENTION ===
-// NOTE: ResizeObserver and IntersectionObserver are read-only in modern browsers
-// Attempting to override them causes silent script failures, so we skip them (KISS principle)
+// page-registry.js wraps the Mutation/Resize/IntersectionObserver constructors (the prototypes
+// are read-only), so while throttled their records arrive in one batch per observerInterval
+if (features.observers) {
+  registry.setObserverThrottle(settings);
+}
 
 // === 6. WEB WORKER THROTTLING ===
-// NOTE: Worker throttling is overly complex and can break web apps
-// Following KISS principle - skip this feature for better reliability
+// Opt-in per site, as it can break web apps: messages to and from the page's workers are
+// held back until restore, and the timers of dedicated workers started with the registry's
+// prelude are stretched
+if (features.workers) {
+  registry.setWorkerThrottle(settings);
+}
 
 // === 7. CSS OPTIMIZATIONS – SIMPLIFIED ===
 // Add data attribute to mark throttled state
 document.documentElement.setAttribute('data-tab-power-saver', 'throttled');
 
-// Add minimal CSS to pause animations - keep it simple to avoid layout issues
-const style = document.createElement('style');
-style.setAttribute('data-power-saver', 'true');
-style.textContent = `
-  /* ONLY pause CSS animations - nothing else to avoid breaking layouts */
-  html[data-tab-power-saver="throttled"] * {
-    animation-play-state: paused !important;
-    -webkit-animation-play-state: paused !important;
-  }
-`;
-document.head.appendChild(style);
-window.__tabPowerSaverStyleElement = style;
+if (features.css) {
+  // Add minimal CSS to pause animations - keep it simple to avoid layout issues
+  const style = document.createElement('style');
+  style.setAttribute('data-power-saver', 'true');
+  style.textContent = `
+    /* ONLY pause CSS animations - nothing else to avoid breaking layouts */
+    html[data-tab-power-saver="throttled"] * {
+      animation-play-state: paused !important;
+      -webkit-animation-play-state: paused !important;
+    }
+  `;
+  document.head.appendChild(style);
+  window.__tabPowerSaverStyleElement = style;
+
+  // The style only reaches CSS animations in the light DOM. Everything else still running -
+  // Web Animations, CSS transitions, animations in shadow roots and same-origin iframes, SVG
+  // (SMIL) animations - is paused through its API. Only what we paused is listed, so restore
+  // leaves alone what the page had paused itself.
+  const pausedAnimations = [];
+  const pausedSvgs = [];
+
+  const pauseAnimation = (animation) => {
+    if (animation.playState !== 'running') return;
+    animation.pause();
+    pausedAnimations.push(animation);
+  };
+
+  // The document, its open shadow roots and the same ones in same-origin iframes
+  const forEachRoot = (doc, callback) => {
+    callback(doc);
+    const walker = doc.createTreeWalker(doc, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.shadowRoot) forEachRoot(node.shadowRoot, callback);
+      if (node.tagName === 'IFRAME') {
+        try {
+          if (node.contentDocument) forEachRoot(node.contentDocument, callback);
+        } catch (e) {
+          // cross-origin frame
+        }
+      }
+    }
+  };
+
+  forEachRoot(document, root => {
+    // getAnimations() on a document also covers its shadow trees
+    if (root.nodeType === Node.DOCUMENT_NODE) root.getAnimations().forEach(pauseAnimation);
+    root.querySelectorAll('svg').forEach(svg => {
+      if (svg.ownerSVGElement || svg.animationsPaused()) return;
+      svg.pauseAnimations();
+      pausedSvgs.push(svg);
+    });
+  });
+
+  // Animations started while throttled
+  const originalAnimate = Element.prototype.animate;
+  window.__tabPowerSaverOriginals.animate = originalAnimate;
+  Object.defineProperty(Element.prototype, 'animate', {
+    value: function animate(...args) {
+      const animation = originalAnimate.apply(this, args);
+      pauseAnimation(animation);
+      return animation;
+    },
+    configurable: true,
+    writable: true
+  });
+
+  // Transitions started while throttled. transitionrun does not leave a shadow tree or a
+  // frame, so every root listens on its own - also the shadow roots attached and the frames
+  // loaded from now on.
+  const transitionListener = (event) => {
+    event.target.getAnimations()
+      .filter(animation => animation.transitionProperty === event.propertyName)
+      .forEach(pauseAnimation);
+  };
+  const frameListener = (event) => {
+    if (event.target.tagName !== 'IFRAME') return;
+    try {
+      if (event.target.contentDocument) forEachRoot(event.target.contentDocument, watchRoot);
+    } catch (e) {
+      // cross-origin frame
+    }
+  };
+  const watchedRoots = [];
+  const watchRoot = (root) => {
+    if (watchedRoots.includes(root)) return;
+    root.addEventListener('transitionrun', transitionListener, true);
+    root.addEventListener('load', frameListener, true);
+    watchedRoots.push(root);
+  };
+  forEachRoot(document, watchRoot);
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+  window.__tabPowerSaverOriginals.attachShadow = originalAttachShadow;
+  Object.defineProperty(Element.prototype, 'attachShadow', {
+    value: function attachShadow(...args) {
+      const root = originalAttachShadow.apply(this, args);
+      watchRoot(root);
+      return root;
+    },
+    configurable: true,
+    writable: true
+  });
+
+  window.__tabPowerSaverPausedAnimations = pausedAnimations;
+  window.__tabPowerSaverPausedSvgs = pausedSvgs;
+  window.__tabPowerSaverTransitionListeners = { roots: watchedRoots, transitionListener, frameListener };
+}
+
+// === 8. NETWORK POLICY ===
+// Per site: 'ratelimit' lets one background request through per timeoutFloor, 'hold' keeps
+// them all until restore. Requests right after a user gesture, synchronous XHRs and keepalive
+// fetches (unload beacons) always go through. WebSocket / EventSource messages are buffered
+// by page-registry.js. Everything held is released in order on restore.
+if (features.network === 'ratelimit' || features.network === 'hold') {
+  const policy = features.network;
+
+  // Held requests, oldest first: { release, timerId } - timerId is set for rate-limited ones
+  const heldRequests = [];
+  window.__tabPowerSaverHeldRequests = heldRequests;
+  let nextSlot = 0;
+
+  const holdRequest = (release) => {
+    if (navigator.userActivation && navigator.userActivation.isActive) {
+      release();
+      return;
+    }
+    const entry = { release, timerId: null };
+    if (policy === 'ratelimit') {
+      const now = performance.now();
+      const wait = Math.max(0, nextSlot - now);
+      nextSlot = Math.max(now, nextSlot) + settings.timeoutFloor;
+      if (!wait) {
+        release();
+        return;
+      }
+      entry.timerId = registry.defer(() => {
+        heldRequests.splice(heldRequests.indexOf(entry), 1);
+        release();
+      }, wait);
+    }
+    heldRequests.push(entry);
+    registry.count('heldRequests');
+  };
+
+  const originalFetch = window.fetch;
+  window.__tabPowerSaverOriginals.fetch = originalFetch;
+
+  Object.defineProperty(window, 'fetch', {
+    value: function fetch(input, init) {
+      if (init && init.keepalive) return originalFetch.call(window, input, init);
+      return new Promise((resolve, reject) => {
+        const signal = init && init.signal;
+        holdRequest(() => {
+          if (signal && signal.aborted) return;
+          originalFetch.call(window, input, init).then(resolve, reject);
+        });
+        // aborting a held request rejects at once, like a real fetch
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+          }, { once: true });
+        }
+      });
+    },
+    configurable: true,
+    writable: true
+  });
+
+  // XHR methods are kept as descriptors so restore puts back the exact originals
+  const xhrProto = XMLHttpRequest.prototype;
+  const originalXhr = {};
+  ['open', 'send', 'abort'].forEach(name => {
+    originalXhr[name] = Object.getOwnPropertyDescriptor(xhrProto, name);
+  });
+  window.__tabPowerSaverOriginals.xhr = originalXhr;
+
+  // open() and abort() start a new generation - a held send() of an older one is dropped
+  const xhrGeneration = new WeakMap();
+  const syncXhrs = new WeakSet();
+  const nextGeneration = xhr => xhrGeneration.set(xhr, (xhrGeneration.get(xhr) || 0) + 1);
+
+  Object.defineProperty(xhrProto, 'open', {
+    value: function open(method, url, async) {
+      nextGeneration(this);
+      if (arguments.length > 2 && !async) syncXhrs.add(this);
+      else syncXhrs.delete(this);
+      return originalXhr.open.value.apply(this, arguments);
+    },
+    configurable: true,
+    writable: true
+  });
+
+  Object.defineProperty(xhrProto, 'send', {
+    value: function send(body) {
+      if (syncXhrs.has(this)) return originalXhr.send.value.call(this, body);
+      const xhr = this;
+      const generation = xhrGeneration.get(xhr);
+      holdRequest(() => {
+        if (xhrGeneration.get(xhr) === generation) originalXhr.send.value.call(xhr, body);
+      });
+    },
+    configurable: true,
+    writable: true
+  });
+
+  Object.defineProperty(xhrProto, 'abort', {
+    value: function abort() {
+      nextGeneration(this);
+      return originalXhr.abort.value.call(this);
+    },
+    configurable: true,
+    writable: true
+  });
+
+  registry.setNetworkHold(policy, settings);
+}
 
 console.log("✓ Tab throttling applied successfully");
-console.log("✓ JavaScript timers, animations, canvas, and media are now throttled");
+console.log(`✓ Throttled: ${Object.keys(features).filter(f => features[f]).join(', ')}`);
 })(); // End IIFE - ensures idempotency check prevents re-execution
@@ -3,58 +3,223 @@ const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 const form   = document.getElementById('addForm');
 const input  = document.getElementById('siteInput');
 const listEl = document.getElementById('siteList');
+const levelInput = document.getElementById('levelInput');
+const typeInput  = document.getElementById('typeInput');
+const workersInput = document.getElementById('workersInput');
+const keepAudioInput = document.getElementById('keepAudioInput');
+const networkInput = document.getElementById('networkInput');
+const heartbeatInput = document.getElementById('heartbeatInput');
+const modeInput  = document.getElementById('modeInput');
+const modeHint   = document.getElementById('modeHint');
+const errorEl    = document.getElementById('formError');
 
-let sites = [];
+let rules = [];                       // [{ type, value, level, workers?, network?, keepAudio?, heartbeat? }] - see rules.js
+let mode = DEFAULT_RULE_MODE;
+let openTabs = [];                    // for the "matches" line under each rule
 
-// return registrable domain (eTLD+1)
-function getDomain(url) {
-  try {
-    const host = new URL(url).hostname.replace(/^www\./, '');
-    const parts = host.split('.');
-    if (parts.length > 2) return parts.slice(-2).join('.');
-    return host;
-  } catch (_) { return ''; }
-}
+// Choices for the add form
+fillSelect(typeInput, RULE_TYPES, 'domain');
+fillSelect(levelInput, THROTTLE_LEVELS, 'exempt');
+fillSelect(networkInput, NETWORK_POLICIES, DEFAULT_NETWORK_POLICY);
+fillSelect(heartbeatInput, HEARTBEAT_CHOICES, '0');
+fillSelect(modeInput, RULE_MODES, DEFAULT_RULE_MODE);
 
 // Load stored whitelist
-browserApi.storage.local.get('whitelistedSites', data => {
-  sites = data.whitelistedSites || [];
+browserApi.storage.local.get(['whitelistedSites', 'ruleMode'], data => {
+  rules = normalizeRules(data.whitelistedSites);
+  mode = data.ruleMode || DEFAULT_RULE_MODE;
+  modeInput.value = mode;
+  renderModeHint();
   render();
 });
 
+// Keep the "matches" lines current while tabs come and go
+function loadTabs() {
+  browserApi.tabs.query({}, tabs => {
+    openTabs = tabs.filter(t => t.url);
+    render();
+  });
+}
+loadTabs();
+browserApi.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || changeInfo.title) loadTabs();
+});
+browserApi.tabs.onRemoved.addListener(loadTabs);
+
+// Switch between "throttle all but these" and "throttle only these"
+modeInput.addEventListener('change', () => {
+  mode = modeInput.value;
+  levelInput.value = mode === 'include' ? DEFAULT_LEVEL : 'exempt';
+  renderModeHint();
+  browserApi.storage.local.set({ ruleMode: mode }, render);
+});
+
+// Validate while typing
+input.addEventListener('input', () => {
+  errorEl.textContent = '';
+  const raw = input.value.trim();
+  if (raw && (typeInput.value === 'pattern' || typeInput.value === 'regex')) {
+    errorEl.textContent = validateRule(typeInput.value, raw);
+  }
+});
+typeInput.addEventListener('change', () => input.dispatchEvent(new Event('input')));
+
 // Add site
 form.addEventListener('submit', e => {
   e.preventDefault();
-  const raw = input.value.trim().toLowerCase();
+  errorEl.textContent = '';
+  const type = typeInput.value;
+  const raw = type === 'regex' ? input.value.trim() : input.value.trim().toLowerCase();
   if (!raw) return;
-  // store only registrable domain
-  const d = getDomain('https://' + raw);
-  if (!d || sites.includes(d)) return;
-  sites.push(d);
+  const value = ruleValue(type, raw);
+  const error = value ? validateRule(type, value) : `"${raw}" is not a valid site`;
+  if (error) {
+    errorEl.textContent = error;
+    return;
+  }
+  if (type === 'domain' && isPublicSuffix(value)) {
+    errorEl.textContent = `"${value}" is a public suffix shared by many sites - add the site itself (e.g. example.${value})`;
+    return;
+  }
+  const existing = findSameRule(rules, type, value);
+  const rule = existing || { type, value };
+  rule.level = levelInput.value;
+  setRuleFlag(rule, 'workers', workersInput.checked);
+  setRuleFlag(rule, 'keepAudio', keepAudioInput.checked);
+  setNetworkPolicy(rule, networkInput.value);
+  setHeartbeat(rule, heartbeatInput.value);
+  if (!existing) rules.push(rule);
   saveAndRender();
   input.value = '';
 });
 
+// Value stored for a rule: domain rules keep only the registrable domain, host rules
+// the full hostname, patterns and regexes are kept as typed
+function ruleValue(type, raw) {
+  if (type === 'pattern' || type === 'regex') return raw;
+  const url = /^[a-z]+:\/\//.test(raw) ? raw : 'https://' + raw;
+  return type === 'domain' ? getDomain(url) : getHost(url);
+}
+
 // Remove site
-function removeSite(site) {
-  sites = sites.filter(s => s !== site);
+function removeRule(rule) {
+  rules = rules.filter(r => r !== rule);
+  saveAndRender();
+}
+
+// Change the throttle level of a site
+function setLevel(rule, level) {
+  rule.level = level;
   saveAndRender();
 }
 
+// Opt a site in or out of an extra (workers, keepAudio) - only stored while on
+function setRuleFlag(rule, key, enabled) {
+  if (enabled) rule[key] = true;
+  else delete rule[key];
+}
+
+// Checkbox for a rule's opt-in flag
+function flagCheckbox(rule, key, label) {
+  const wrapper = document.createElement('label');
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.checked = !!rule[key];
+  box.onchange = () => {
+    setRuleFlag(rule, key, box.checked);
+    saveAndRender();
+  };
+  wrapper.appendChild(box);
+  wrapper.appendChild(document.createTextNode(' ' + label));
+  return wrapper;
+}
+
+// Network policy of a site (only stored if not the default)
+function setNetworkPolicy(rule, policy) {
+  if (policy !== DEFAULT_NETWORK_POLICY) rule.network = policy;
+  else delete rule.network;
+}
+
+// Heartbeat interval of a site in minutes (only stored while on)
+function setHeartbeat(rule, minutes) {
+  if (Number(minutes) > 0) rule.heartbeat = Number(minutes);
+  else delete rule.heartbeat;
+}
+
+function fillSelect(select, choices, selected) {
+  Object.keys(choices).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = choices[key].label;
+    select.appendChild(opt);
+  });
+  select.value = selected;
+}
+
+function renderModeHint() {
+  modeHint.textContent = mode === 'include'
+    ? 'Only tabs matching a rule are throttled, at that rule\'s level. Everything else stays awake.'
+    : `Tabs matching a rule get that rule's level. Everything else gets the ${THROTTLE_LEVELS[DEFAULT_LEVEL].label.split(' - ')[0]} level.`;
+}
+
 // Persist + redraw
 function saveAndRender() {
-  browserApi.storage.local.set({ whitelistedSites: sites }, render);
+  browserApi.storage.local.set({ whitelistedSites: rules }, render);
+}
+
+// Label of a rule in the list
+function describeRule(rule) {
+  if (rule.type === 'domain') return rule.value;
+  if (rule.type === 'host') return `${rule.value} (exact host)`;
+  if (rule.type === 'regex') return `/${rule.value}/`;
+  return rule.value;
 }
 
 function render() {
   listEl.innerHTML = '';
-  sites.forEach(s => {
+  rules.forEach(r => {
     const li = document.createElement('li');
-    li.textContent = s;
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    const name = document.createElement('span');
+    name.textContent = describeRule(r);
+    const level = document.createElement('select');
+    fillSelect(level, THROTTLE_LEVELS, r.level);
+    level.onchange = () => setLevel(r, level.value);
+    const network = document.createElement('select');
+    fillSelect(network, NETWORK_POLICIES, r.network || DEFAULT_NETWORK_POLICY);
+    network.onchange = () => {
+      setNetworkPolicy(r, network.value);
+      saveAndRender();
+    };
+    const heartbeat = document.createElement('select');
+    fillSelect(heartbeat, HEARTBEAT_CHOICES, String(r.heartbeat || 0));
+    heartbeat.onchange = () => {
+      setHeartbeat(r, heartbeat.value);
+      saveAndRender();
+    };
     const x = document.createElement('button');
     x.textContent = '✕';
-    x.onclick = () => removeSite(s);
-    li.appendChild(x);
+    x.onclick = () => removeRule(r);
+    row.appendChild(name);
+    row.appendChild(level);
+    row.appendChild(network);
+    row.appendChild(heartbeat);
+    row.appendChild(flagCheckbox(r, 'workers', 'Workers'));
+    row.appendChild(flagCheckbox(r, 'keepAudio', 'Keep audio'));
+    row.appendChild(x);
+    li.appendChild(row);
+
+    // open tabs this rule currently decides (a more specific rule may win)
+    const matches = document.createElement('div');
+    matches.className = 'matches';
+    const error = validateRule(r.type, r.value);
+    const matched = openTabs.filter(t => findRule(rules, t.url) === r);
+    if (error) matches.textContent = '⚠️ ' + error;
+    else if (!matched.length) matches.textContent = 'No open tabs match';
+    else matches.textContent = `Matches ${matched.length} open tab(s): ` + matched.map(t => t.title || t.url).join(', ');
+    li.appendChild(matches);
+
     listEl.appendChild(li);
   });
 }